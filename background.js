@@ -3,65 +3,180 @@
 //
 // This script runs in the background and handles:
 //   - Tab tracking and age calculation
-//   - Automatic backup scheduling with time-based triggers
+//   - Include/exclude rules per domain or URL pattern (rules.js)
+//   - Stable tab identities that survive restarts (sessions API)
+//   - Tab activity: last activation, activation count and foreground time
+//   - Closing duplicate tabs while keeping the history of the oldest copy
+//   - Notifications when the number of open or long-open tabs crosses a threshold
+//   - Toolbar badge counting the tabs over the minimum age
+//   - Context menu items for the tab strip and pages (back up, exclude site,
+//     archive, keep forever)
+//   - Keyboard shortcuts (commands API)
+//   - Optional page capture (readable text or HTML snapshot) stored in IndexedDB
+//   - Automatic backups on named schedules (schedule.js), catching up runs
+//     missed while the computer slept or the browser was closed
 //   - Manual backup requests from popup
-//   - Settings management and alarm handling
+//   - Keeping every backup run as a snapshot in IndexedDB (database.js)
+//   - Recording every run (counts, destination, errors) in the run journal
+//   - Writing backup files to the Downloads folder (formats in formats.js)
+//   - Pruning old backup files according to the retention policy
+//   - Saving backed up tabs into a bookmarks folder (synced by Firefox Sync)
+//   - Archiving (closing) very old tabs after they are backed up, with undo
+//   - Settings management (schema and migrations in settings.js) and alarm handling
+//   - Named settings profiles, switched from the popup or the options page
 //   - Error handling for missing or corrupted data
+// In the Chrome build this script runs in a service worker (service-worker.js)
+// and `browser.*` is provided by compat.js.
 // ============================================================================
 
-// Default settings - these are used when no user settings exist
-const DEFAULT_SETTINGS = {
-  // Basic settings
-  minDays: 7,                    // Minimum days before a tab is considered "old"
-  maxTabs: 1000,                  // Maximum number of tabs to backup
+// Current settings (will be loaded from storage)
+let currentSettings = { ...DEFAULT_SETTINGS };
 
-  // Automatic backup settings
-  autoBackupEnabled: false,      // Whether automatic backups are enabled
-  backupTime: '05:00',           // Time of day to perform backups (24-hour format)
-  backupDays: ['Mon'],           // Days of week for automatic backup (Mon-Sun)
-  toleranceHours: 12,            // Hours of tolerance for daylight saving time
+// Name of the settings profile in use
+let activeProfile = DEFAULT_PROFILE_NAME;
 
-  // Advanced settings
-  excludePrivate: true,          // Exclude private browsing tabs
-  excludePinned: false,          // Exclude pinned tabs
-  maxTitleLength: 100,           // Maximum length for tab titles
+// Tab data storage (keyed by stable tab identity)
+let tabData = {};
 
-  // Appearance
-  theme: 'auto'                  // Theme setting (auto/light/dark)
-};
+// Session value key under which each tab's identity is stored
+const TAB_IDENTITY_KEY = 'identity';
 
-// Current settings (will be loaded from storage)
-let currentSettings = { ...DEFAULT_SETTINGS };
+// Cache of tab identities (numeric tab ID -> { uid, firstSeen }). While a tab's
+// identity is being looked up the entry holds the pending lookup, so callers
+// that arrive meanwhile share its result.
+const tabIdentities = new Map();
 
-// Tab data storage
-let tabData = {};
+// Session storage key prefix of each open tab's identity UID. The background
+// may be unloaded between events, and a closed tab's session values can no
+// longer be read, so removals look the UID up here.
+const TAB_UID_PREFIX = 'tabUid:';
+
+// Per-tab activity keyed by stable identity:
+// { lastActivated, activationCount, focusTime (ms in the foreground) }
+let tabActivity = {};
+
+// Tab currently in the foreground: { tabId, uid, since } (null if no browser window is focused)
+let focusSpan = null;
 
 // Last automatic backup time
 let lastAutomaticBackup = null;
 
+// Time each backup schedule last ran (schedule ID -> time)
+let scheduleRuns = {};
+
+// Scheduled backups currently running (a promise), so that the startup
+// catch-up and the alarm never run the same schedule twice
+let dueBackupsRun = null;
+
+// Alarm firing at the next run of any backup schedule
+const SCHEDULE_ALARM = 'automaticBackup';
+
+// Runs started this long after their time count as catch-up runs
+const CATCH_UP_GRACE_MS = 10 * 60 * 1000;
+
+// Backup files written by this extension (download ID, path, creation time)
+let backupFiles = [];
+
+// Alarm and notification used for pending archives
+const ARCHIVE_ALARM = 'archiveTabs';
+const ARCHIVE_NOTIFICATION_ID = 'archiveTabs';
+
+// Alarm and notification used for tab count notifications
+const TAB_ALERT_ALARM = 'tabAlerts';
+const TAB_ALERT_NOTIFICATION_ID = 'tabAlert';
+
+// Alarm refreshing the toolbar badge as tabs grow older
+const BADGE_ALARM = 'updateBadge';
+
+// Badge colours by severity
+const BADGE_COLORS = { green: '#2e7d32', yellow: '#f9a825', red: '#c62828' };
+
+// Context menu item IDs
+const MENU_BACKUP_TAB = 'backupTab';
+const MENU_EXCLUDE_SITE = 'excludeSite';
+const MENU_ARCHIVE_TAB = 'archiveTab';
+const MENU_KEEP_FOREVER = 'keepForever';
+
+// Number of tabs closed by the "Archive oldest" notification button
+const ARCHIVE_OLDEST_COUNT = 10;
+
+// Resolves once settings and state are loaded from storage. In the Chrome
+// build the background is a service worker that is started by the very event
+// it handles, so listeners are registered first and wait for the state.
+let stateLoaded = null;
+
+// Wrap an event handler so it only runs once the state has been loaded
+function afterStateLoaded(handler) {
+  return (...args) => stateLoaded.then(() => handler(...args));
+}
+
 // Initialize the background script
+// Runs every time the background starts: on browser start and, in the Chrome
+// build, every time the service worker is woken up
 async function initialize() {
+  // Listeners must be registered synchronously so that the event waking a
+  // service worker is delivered to them
+  // Set up alarm listener for automatic backups
+  browser.alarms.onAlarm.addListener(afterStateLoaded(handleAlarm));
+  
+  // Set up message listener for popup communication
+  browser.runtime.onMessage.addListener(afterStateLoaded(handleMessage));
+  
+  // Set up the tab strip and page context menus
+  browser.menus.onClicked.addListener(afterStateLoaded(handleMenuClicked));
+  if (BROWSER_SUPPORT.menusOnShown) {
+    browser.menus.onShown.addListener(afterStateLoaded(handleMenuShown));
+  }
+  
+  // Set up keyboard shortcuts
+  browser.commands.onCommand.addListener(afterStateLoaded(handleCommand));
+  
+  // Clicking the archive notification cancels the pending archive
+  browser.notifications.onClicked.addListener(afterStateLoaded(handleNotificationClicked));
+  browser.notifications.onButtonClicked.addListener(afterStateLoaded(handleNotificationButtonClicked));
+  
+  // Pick up tab log changes made by the Tab Log dashboard (add/remove, import)
+  browser.storage.onChanged.addListener(afterStateLoaded(handleStorageChange));
+  
+  // Set up tab event listeners
+  browser.tabs.onUpdated.addListener(afterStateLoaded(handleTabUpdate));
+  browser.tabs.onRemoved.addListener(afterStateLoaded(handleTabRemoved));
+  browser.tabs.onAttached.addListener(afterStateLoaded(handleTabAttached));
+  
+  // Re-check the tab count thresholds when tabs are opened or closed
+  browser.tabs.onCreated.addListener(afterStateLoaded(checkTabAlerts));
+  browser.tabs.onRemoved.addListener(afterStateLoaded(checkTabAlerts));
+  
+  // Keep the toolbar badge up to date
+  browser.tabs.onCreated.addListener(afterStateLoaded(updateBadge));
+  browser.tabs.onRemoved.addListener(afterStateLoaded(updateBadge));
+  
+  // Set up activity tracking listeners
+  browser.tabs.onActivated.addListener(afterStateLoaded(handleTabActivated));
+  browser.windows.onFocusChanged.addListener(afterStateLoaded(handleWindowFocusChanged));
+  
+  // The time the browser was closed is not foreground time
+  browser.runtime.onStartup.addListener(afterStateLoaded(handleBrowserStartup));
+  
+  stateLoaded = loadState();
+  await stateLoaded;
+  
   try {
-    // Load settings from storage
-    await loadSettings();
-    
-    // Load existing tab data
-    await loadTabData();
-    
-    // Set up alarm listener for automatic backups
-    browser.alarms.onAlarm.addListener(handleAlarm);
-    
-    // Set up message listener for popup communication
-    browser.runtime.onMessage.addListener(handleMessage);
+    await createContextMenus();
     
-    // Set up tab event listeners
-    browser.tabs.onUpdated.addListener(handleTabUpdate);
-    browser.tabs.onRemoved.addListener(handleTabRemoved);
+    // Catch up scheduled backups missed while the browser was closed and
+    // set the alarm for the next one
+    await runDueBackups();
     
-    // Schedule automatic backup if enabled
-    if (currentSettings.autoBackupEnabled) {
-      await scheduleAutomaticBackup();
+    // Recreate alarms that are missing (a restarted browser or an updated
+    // extension may have lost them); existing ones keep their schedule
+    if (!(await browser.alarms.get(TAB_ALERT_ALARM))) {
+      await scheduleTabAlerts();
+    }
+    if (!(await browser.alarms.get(BADGE_ALARM))) {
+      await browser.alarms.create(BADGE_ALARM, { periodInMinutes: 30 });
     }
+    await updateBadge();
     
     console.log('Background script initialized successfully');
   } catch (error) {
@@ -69,12 +184,35 @@ async function initialize() {
   }
 }
 
+// Load settings and the tab log state from storage
+async function loadState() {
+  // Load settings and the active profile from storage
+  await loadSettings();
+  await loadActiveProfile();
+  
+  // Load existing tab data
+  await loadTabData();
+  
+  // Load the time of the last automatic backup and of each schedule's last run
+  await loadLastAutomaticBackup();
+  await loadScheduleRuns();
+  
+  // Load the list of written backup files
+  await loadBackupFiles();
+  
+  // Load tab activity statistics
+  await loadTabActivity();
+}
+
 // Load settings from storage
 async function loadSettings() {
   try {
     const result = await browser.storage.local.get('settings');
-    if (result.settings) {
-      currentSettings = { ...DEFAULT_SETTINGS, ...result.settings };
+    currentSettings = normalizeSettings(result.settings);
+    // Store settings written by an older version in the current format
+    if (result.settings && result.settings.settingsVersion !== SETTINGS_VERSION) {
+      await browser.storage.local.set({ settings: currentSettings });
+      console.log(`Settings migrated to version ${SETTINGS_VERSION}`);
     }
     console.log('Settings loaded:', currentSettings);
   } catch (error) {
@@ -84,6 +222,94 @@ async function loadSettings() {
   }
 }
 
+// Validate, store and apply settings: reschedule the alarms and refresh the
+// tab count notifications and the badge. Throws on invalid settings.
+async function applySettings(settings) {
+  const errors = validateSettings(settings);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+  const previous = currentSettings;
+  currentSettings = settings;
+  await browser.storage.local.set({ settings: currentSettings });
+  
+  await resetScheduleRuns(previous, currentSettings);
+  await scheduleAutomaticBackup();
+  await scheduleTabAlerts();
+  await checkTabAlerts();
+  await updateBadge();
+}
+
+// Load the name of the active settings profile
+async function loadActiveProfile() {
+  try {
+    const result = await browser.storage.local.get('activeProfile');
+    activeProfile = result.activeProfile || DEFAULT_PROFILE_NAME;
+  } catch (error) {
+    console.error('Error loading active profile:', error);
+    activeProfile = DEFAULT_PROFILE_NAME;
+  }
+}
+
+// Load the stored settings of the inactive profiles (name -> settings)
+async function loadProfiles() {
+  const result = await browser.storage.local.get('profiles');
+  return result.profiles && typeof result.profiles === 'object' ? result.profiles : {};
+}
+
+// Names of all profiles, including the active one, sorted
+async function getProfileNames() {
+  const names = new Set(Object.keys(await loadProfiles()));
+  names.add(activeProfile);
+  return Array.from(names).sort((a, b) => a.localeCompare(b));
+}
+
+// Switch to another profile: keep the settings of the profile we leave and
+// apply (and reschedule the alarms for) the settings of the new one
+async function switchProfile(name) {
+  if (name === activeProfile) return;
+  const profiles = await loadProfiles();
+  if (!profiles[name]) {
+    throw new Error(`Profile "${name}" does not exist`);
+  }
+  const settings = normalizeSettings(profiles[name]);
+  profiles[activeProfile] = currentSettings;
+  delete profiles[name];
+  activeProfile = name;
+  await browser.storage.local.set({ profiles, activeProfile });
+  await applySettings(settings);
+  console.log(`Switched to settings profile "${name}"`);
+}
+
+// Create or overwrite a profile; saving the active profile applies the settings
+async function saveProfile(name, settings) {
+  name = (name || '').trim();
+  if (!name) {
+    throw new Error('Profile name must not be empty');
+  }
+  if (name === activeProfile) {
+    await applySettings(settings);
+    return;
+  }
+  const errors = validateSettings(settings);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+  const profiles = await loadProfiles();
+  profiles[name] = settings;
+  await browser.storage.local.set({ profiles });
+}
+
+// Delete an inactive profile
+async function deleteProfile(name) {
+  if (name === activeProfile) {
+    throw new Error('The active profile cannot be deleted');
+  }
+  const profiles = await loadProfiles();
+  delete profiles[name];
+  await browser.storage.local.set({ profiles });
+}
+
 // Load tab data from storage with error handling
 async function loadTabData() {
   try {
@@ -112,6 +338,282 @@ async function saveTabData() {
   }
 }
 
+// Load the time of the last automatic backup from storage
+async function loadLastAutomaticBackup() {
+  try {
+    const result = await browser.storage.local.get('lastAutomaticBackup');
+    lastAutomaticBackup = result.lastAutomaticBackup || null;
+  } catch (error) {
+    console.error('Error loading last automatic backup time:', error);
+    lastAutomaticBackup = null;
+  }
+}
+
+// Load the last run time of each backup schedule from storage
+async function loadScheduleRuns() {
+  try {
+    const result = await browser.storage.local.get('scheduleRuns');
+    scheduleRuns = result.scheduleRuns && typeof result.scheduleRuns === 'object' ? result.scheduleRuns : {};
+  } catch (error) {
+    console.error('Error loading schedule runs:', error);
+    scheduleRuns = {};
+  }
+}
+
+// Restart new, changed and re-enabled schedules from now, so that editing a
+// schedule or turning automatic backups back on does not count as missed runs
+async function resetScheduleRuns(previous, settings) {
+  const now = Date.now();
+  const before = new Map(previous.backupSchedules.map(schedule => [schedule.id, JSON.stringify(schedule)]));
+  const runs = {};
+  for (const schedule of settings.backupSchedules) {
+    const unchanged = previous.autoBackupEnabled && before.get(schedule.id) === JSON.stringify(schedule);
+    runs[schedule.id] = unchanged && scheduleRuns[schedule.id] ? scheduleRuns[schedule.id] : now;
+  }
+  scheduleRuns = runs;
+  await browser.storage.local.set({ scheduleRuns });
+}
+
+// Keep the in-memory tab log in sync with changes written by other pages.
+// Change events also arrive for this script's own saves, possibly after it
+// has edited the log again, so only entries that changed in storage and that
+// are still unchanged in memory are taken over (edits made here win).
+function handleStorageChange(changes, areaName) {
+  if (areaName !== 'local' || !changes.tabData) return;
+  const oldValue = changes.tabData.oldValue || {};
+  const newValue = changes.tabData.newValue || {};
+  const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+  for (const key of keys) {
+    const before = JSON.stringify(oldValue[key]);
+    if (before === JSON.stringify(newValue[key]) || before !== JSON.stringify(tabData[key])) continue;
+    if (key in newValue) {
+      tabData[key] = newValue[key];
+    } else {
+      delete tabData[key];
+    }
+  }
+}
+
+// Load the list of written backup files from storage
+async function loadBackupFiles() {
+  try {
+    const result = await browser.storage.local.get('backupFiles');
+    backupFiles = Array.isArray(result.backupFiles) ? result.backupFiles : [];
+    console.log(`Loaded ${backupFiles.length} backup file records`);
+  } catch (error) {
+    console.error('Error loading backup file records:', error);
+    backupFiles = [];
+  }
+}
+
+// Save the list of written backup files to storage
+async function saveBackupFiles() {
+  try {
+    await browser.storage.local.set({ backupFiles });
+  } catch (error) {
+    console.error('Error saving backup file records:', error);
+    throw error;
+  }
+}
+
+// Load tab activity statistics and the current foreground span from storage
+async function loadTabActivity() {
+  try {
+    const result = await browser.storage.local.get(['tabActivity', 'focusSpan']);
+    tabActivity = (result.tabActivity && typeof result.tabActivity === 'object') ? result.tabActivity : {};
+    focusSpan = result.focusSpan || null;
+    // A span saved before the background was stopped only continues if its
+    // tab is still in the foreground; otherwise its end was never seen, so
+    // it is dropped rather than counted up to now
+    if (focusSpan && !(await isFocusSpanCurrent(focusSpan))) {
+      focusSpan = null;
+      await browser.storage.local.set({ focusSpan });
+    }
+  } catch (error) {
+    console.error('Error loading tab activity:', error);
+    tabActivity = {};
+    focusSpan = null;
+  }
+}
+
+// Whether a foreground span's tab is still the active tab of a focused window
+async function isFocusSpanCurrent(span) {
+  try {
+    const tab = await browser.tabs.get(span.tabId);
+    if (!tab.active) return false;
+    const win = await browser.windows.get(tab.windowId);
+    if (!win.focused) return false;
+    return (await getTabIdentity(tab)).uid === span.uid;
+  } catch {
+    return false; // The tab no longer exists
+  }
+}
+
+// On browser start, drop the span left over from the last session (even if
+// its tab was restored in the foreground) and start one for the current tab
+async function handleBrowserStartup() {
+  try {
+    focusSpan = null;
+    const win = await browser.windows.getLastFocused();
+    if (win && win.focused) {
+      const [tab] = await browser.tabs.query({ active: true, windowId: win.id });
+      if (tab) {
+        await startFocusSpan(tab, Date.now(), false);
+      }
+    }
+    await saveTabActivity();
+  } catch (error) {
+    console.error('Error handling browser startup:', error);
+  }
+}
+
+// Save tab activity statistics and the current foreground span
+// (the span is persisted so it survives the background page being unloaded)
+async function saveTabActivity() {
+  try {
+    await browser.storage.local.set({ tabActivity, focusSpan });
+  } catch (error) {
+    console.error('Error saving tab activity:', error);
+  }
+}
+
+// Activity of a tab including the time of the running foreground span
+function getActivity(uid, now = Date.now()) {
+  const activity = tabActivity[uid] || { lastActivated: null, activationCount: 0, focusTime: 0 };
+  if (focusSpan && focusSpan.uid === uid) {
+    return { ...activity, lastActivated: now, focusTime: activity.focusTime + Math.max(0, now - focusSpan.since) };
+  }
+  return { ...activity };
+}
+
+// Time from which a tab's age is measured: first seen, or last viewed for idle-based backups
+function getAgeStart(identity, now) {
+  if (currentSettings.ageBasis === 'idle') {
+    return getActivity(identity.uid, now).lastActivated || identity.firstSeen;
+  }
+  return identity.firstSeen;
+}
+
+// End the running foreground span and add its time to the tab's activity
+function endFocusSpan(now) {
+  if (!focusSpan) return;
+  const activity = tabActivity[focusSpan.uid];
+  if (activity) {
+    activity.focusTime += Math.max(0, now - focusSpan.since);
+  }
+  focusSpan = null;
+}
+
+// Start a foreground span for a tab; activated = the tab was switched to
+async function startFocusSpan(tab, now, activated) {
+  if (currentSettings.excludePrivate && tab.incognito) return;
+  const identity = await getTabIdentity(tab);
+  const activity = tabActivity[identity.uid] || { lastActivated: now, activationCount: 0, focusTime: 0 };
+  activity.lastActivated = now;
+  if (activated) {
+    activity.activationCount++;
+  }
+  tabActivity[identity.uid] = activity;
+  focusSpan = { tabId: tab.id, uid: identity.uid, since: now };
+}
+
+// Handle switching tabs (counts as a visit if the window is focused)
+async function handleTabActivated(activeInfo) {
+  try {
+    const now = Date.now();
+    const win = await browser.windows.get(activeInfo.windowId);
+    if (!win.focused) return;
+    endFocusSpan(now);
+    await startFocusSpan(await browser.tabs.get(activeInfo.tabId), now, true);
+    await saveTabActivity();
+  } catch (error) {
+    console.error('Error handling tab activation:', error);
+  }
+}
+
+// Handle focus moving between browser windows (or away from the browser)
+async function handleWindowFocusChanged(windowId) {
+  try {
+    const now = Date.now();
+    endFocusSpan(now);
+    if (windowId !== browser.windows.WINDOW_ID_NONE) {
+      const [tab] = await browser.tabs.query({ active: true, windowId });
+      if (tab) {
+        await startFocusSpan(tab, now, false);
+      }
+    }
+    await saveTabActivity();
+  } catch (error) {
+    console.error('Error handling window focus change:', error);
+  }
+}
+
+// Get the stable identity of a tab, creating one on first sight
+// The identity is stored with the tab in the session, so Firefox carries it
+// across restarts, restored sessions, reopened tabs and moves between windows
+async function getTabIdentity(tab) {
+  if (tabIdentities.has(tab.id)) {
+    return tabIdentities.get(tab.id);
+  }
+  const lookup = lookUpTabIdentity(tab);
+  tabIdentities.set(tab.id, lookup);
+  try {
+    const identity = await lookup;
+    if (tabIdentities.get(tab.id) === lookup) {
+      tabIdentities.set(tab.id, identity);
+    }
+    return identity;
+  } catch (error) {
+    if (tabIdentities.get(tab.id) === lookup) {
+      tabIdentities.delete(tab.id);
+    }
+    throw error;
+  }
+}
+
+// Read a tab's identity from its session values, or create a new one
+async function lookUpTabIdentity(tab) {
+  let identity = await browser.sessions.getTabValue(tab.id, TAB_IDENTITY_KEY);
+  // Duplicated tabs inherit the session values of their source tab
+  if (identity && await isIdentityClaimed(identity.uid, tab.id)) {
+    identity = null;
+  }
+  if (!identity || !identity.uid) {
+    // Tabs tracked before stable identities existed are keyed by their numeric
+    // ID. IDs are reassigned when the browser restarts, so the entry is only
+    // adopted by a tab showing the same URL; otherwise it stays a log row
+    // without an open tab.
+    const legacyEntry = tabData[tab.id] && tabData[tab.id].url === tab.url ? tabData[tab.id] : null;
+    identity = {
+      uid: crypto.randomUUID(),
+      firstSeen: (legacyEntry && legacyEntry.createdAt) || tab.lastAccessed || Date.now()
+    };
+    await browser.sessions.setTabValue(tab.id, TAB_IDENTITY_KEY, identity);
+    if (legacyEntry) {
+      tabData[identity.uid] = legacyEntry;
+      delete tabData[tab.id];
+    }
+  }
+  await browser.storage.session.set({ [TAB_UID_PREFIX + tab.id]: identity.uid });
+  return identity;
+}
+
+// Check whether another open tab already holds the given identity
+// (lookups still in progress are skipped, as they may be waiting on this one)
+async function isIdentityClaimed(uid, tabId) {
+  for (const [otherTabId, identity] of tabIdentities) {
+    if (otherTabId === tabId || identity instanceof Promise || identity.uid !== uid) continue;
+    try {
+      await browser.tabs.get(otherTabId);
+      return true;
+    } catch {
+      // Stale cache entry for a tab that no longer exists
+      tabIdentities.delete(otherTabId);
+    }
+  }
+  return false;
+}
+
 // Handle tab updates (new tabs, title changes, etc.)
 async function handleTabUpdate(tabId, changeInfo, tab) {
   try {
@@ -125,6 +627,12 @@ async function handleTabUpdate(tabId, changeInfo, tab) {
       return;
     }
     
+    // A page loaded in the foreground tab is being looked at
+    if (focusSpan && focusSpan.tabId === tabId && tabActivity[focusSpan.uid]) {
+      tabActivity[focusSpan.uid].lastActivated = Date.now();
+      await saveTabActivity();
+    }
+    
     // Skip pinned tabs if setting is enabled
     if (currentSettings.excludePinned && tab.pinned) {
       return;
@@ -135,23 +643,33 @@ async function handleTabUpdate(tabId, changeInfo, tab) {
       return;
     }
     
+    // Skip URLs excluded by tracking rules
+    const verdict = evaluateRules(tab.url, compileRules(currentSettings.trackingRules), currentSettings.minDays);
+    if (verdict.excluded) {
+      return;
+    }
+    
     const now = Date.now();
-    const tabAge = now - tab.createdAt;
+    const identity = await getTabIdentity(tab);
+    const tabAge = now - getAgeStart(identity, now);
     const tabAgeDays = tabAge / (24 * 60 * 60 * 1000);
     
-    // Only track tabs that meet the minimum age requirement
-    if (tabAgeDays >= currentSettings.minDays) {
+    // Only track tabs that meet the minimum age requirement (or the rule's override)
+    if (tabAgeDays >= verdict.minDays) {
       // Truncate title if it's too long
       let title = tab.title || '';
       if (title.length > currentSettings.maxTitleLength) {
         title = title.substring(0, currentSettings.maxTitleLength) + '...';
       }
       
-      tabData[tabId] = {
+      const existing = tabData[identity.uid] || {};
+      tabData[identity.uid] = {
+        ...existing,
         title: title,
         url: tab.url,
-        createdAt: tab.createdAt,
-        lastUpdated: now
+        createdAt: existing.createdAt || identity.firstSeen,
+        lastUpdated: now,
+        ...getActivity(identity.uid, now)
       };
       
       await saveTabData();
@@ -165,8 +683,29 @@ async function handleTabUpdate(tabId, changeInfo, tab) {
 // Handle tab removal (clean up tracking data)
 async function handleTabRemoved(tabId, removeInfo) {
   try {
-    if (tabData[tabId]) {
-      delete tabData[tabId];
+    const identity = await tabIdentities.get(tabId);
+    tabIdentities.delete(tabId);
+    const uidKey = TAB_UID_PREFIX + tabId;
+    const { [uidKey]: storedUid } = await browser.storage.session.get(uidKey);
+    await browser.storage.session.remove(uidKey);
+    const uid = identity ? identity.uid : storedUid;
+    if (focusSpan && focusSpan.tabId === tabId) {
+      endFocusSpan(Date.now());
+      await saveTabActivity();
+    }
+    // Tabs closed together with their window (including browser shutdown) come
+    // back with the session, so keep their history
+    if (removeInfo.isWindowClosing || !uid) {
+      return;
+    }
+    // The log keeps the activity copied at the last backup
+    if (tabActivity[uid]) {
+      delete tabActivity[uid];
+      await saveTabActivity();
+    }
+    // Archived and kept-forever tabs stay in the log
+    if (tabData[uid] && !tabData[uid].archived && !tabData[uid].keepForever) {
+      delete tabData[uid];
       await saveTabData();
       console.log(`Removed tracking for tab ${tabId}`);
     }
@@ -175,200 +714,1078 @@ async function handleTabRemoved(tabId, removeInfo) {
   }
 }
 
-// Handle automatic backup alarm
+// Handle tabs moved to another window (re-store the identity with the tab)
+async function handleTabAttached(tabId) {
+  try {
+    const identity = await tabIdentities.get(tabId);
+    if (identity) {
+      await browser.sessions.setTabValue(tabId, TAB_IDENTITY_KEY, identity);
+    }
+  } catch (error) {
+    console.error('Error handling tab attach:', error);
+  }
+}
+
+// Handle extension alarms
 async function handleAlarm(alarm) {
-  if (alarm.name === 'automaticBackup') {
-    try {
-      // Check if today is a selected backup day
-      const daysOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-      const today = daysOfWeek[new Date().getDay()];
-      const backupDays = currentSettings.backupDays || ['Mon'];
-      if (!backupDays.includes(today)) {
-        console.log(`Automatic backup skipped: ${today} is not a selected backup day.`);
-        return;
+  if (alarm.name === SCHEDULE_ALARM) {
+    console.log('Automatic backup alarm triggered');
+    await runDueBackups();
+  } else if (alarm.name === ARCHIVE_ALARM) {
+    await archivePendingTabs();
+  } else if (alarm.name === TAB_ALERT_ALARM) {
+    await checkTabAlerts();
+  } else if (alarm.name === BADGE_ALARM) {
+    await updateBadge();
+  }
+}
+
+// Run the backup schedules that are due, then set the alarm for the next run
+function runDueBackups() {
+  if (!dueBackupsRun) {
+    dueBackupsRun = performDueBackups().finally(() => {
+      dueBackupsRun = null;
+    });
+  }
+  return dueBackupsRun;
+}
+
+// Run each enabled schedule whose next run after its last run has passed.
+// A schedule runs once however many runs were missed; runs started well
+// after their time (computer asleep, browser closed) are 'catchup' runs.
+async function performDueBackups() {
+  try {
+    if (currentSettings.autoBackupEnabled) {
+      let changed = false;
+      for (const schedule of currentSettings.backupSchedules) {
+        if (!schedule.enabled) continue;
+        const now = Date.now();
+        // Schedules without a recorded run start counting from now
+        if (!scheduleRuns[schedule.id]) {
+          scheduleRuns[schedule.id] = now;
+          changed = true;
+          continue;
+        }
+        const dueAt = nextRunAfter(schedule, scheduleRuns[schedule.id]);
+        if (dueAt === null || dueAt > now) continue;
+        const trigger = now - dueAt > CATCH_UP_GRACE_MS ? 'catchup' : 'alarm';
+        console.log(`Running backup schedule "${schedule.name}" (${trigger}, due ${new Date(dueAt).toLocaleString()})`);
+        // A failed run is not retried before the schedule's next run
+        scheduleRuns[schedule.id] = now;
+        changed = true;
+        const result = await performBackup(trigger, schedule);
+        if (result.success) {
+          lastAutomaticBackup = now;
+          await browser.storage.local.set({ lastAutomaticBackup });
+          console.log(`Backup schedule "${schedule.name}" completed successfully`);
+        } else {
+          console.error(`Backup schedule "${schedule.name}" failed:`, result.message);
+        }
       }
-      console.log('Automatic backup alarm triggered');
-      // Check if enough time has passed since last backup
-      const now = Date.now();
-      const toleranceMs = currentSettings.toleranceHours * 60 * 60 * 1000;
-      if (lastAutomaticBackup && (now - lastAutomaticBackup) < toleranceMs) {
-        console.log('Skipping automatic backup - too soon since last backup');
-        return;
+      if (changed) {
+        await browser.storage.local.set({ scheduleRuns });
       }
-      // Perform automatic backup
-      await performBackup();
-      lastAutomaticBackup = now;
-      // Save last backup time
-      await browser.storage.local.set({ lastAutomaticBackup });
-      console.log('Automatic backup completed successfully');
-    } catch (error) {
-      console.error('Error during automatic backup:', error);
     }
+  } catch (error) {
+    console.error('Error during automatic backup:', error);
   }
+  await scheduleAutomaticBackup();
 }
 
-// Schedule automatic backup alarm
+// Set the automatic backup alarm to the next run of any enabled schedule
+// (cleared when automatic backups are off)
 async function scheduleAutomaticBackup() {
   try {
-    // Clear existing alarm
-    await browser.alarms.clear('automaticBackup');
+    await browser.alarms.clear(SCHEDULE_ALARM);
+    if (!currentSettings.autoBackupEnabled) return;
     
-    // Parse backup time
-    const [hours, minutes] = currentSettings.backupTime.split(':').map(Number);
+    const next = upcomingRuns(currentSettings.backupSchedules, Date.now(), 1)[0];
+    if (!next) return;
+    await browser.alarms.create(SCHEDULE_ALARM, { when: next.time });
     
-    // Calculate next backup time
-    const now = new Date();
-    const nextBackup = new Date();
-    nextBackup.setHours(hours, minutes, 0, 0);
-    
-    // If backup time has already passed today, schedule for tomorrow
-    if (nextBackup <= now) {
-      nextBackup.setDate(nextBackup.getDate() + 1);
-    }
-    
-    // Create alarm
-    await browser.alarms.create('automaticBackup', {
-      when: nextBackup.getTime(),
-      periodInMinutes: currentSettings.backupInterval * 24 * 60
-    });
-    
-    console.log(`Automatic backup scheduled for ${nextBackup.toLocaleString()}`);
+    console.log(`Automatic backup "${next.schedule.name}" scheduled for ${new Date(next.time).toLocaleString()}`);
   } catch (error) {
     console.error('Error scheduling automatic backup:', error);
   }
 }
 
 // Perform backup operation
-async function performBackup() {
+// trigger: 'manual' for popup/dashboard requests, 'alarm' for scheduled backups,
+// 'catchup' for scheduled backups run late, 'notification' for the tab count
+// notification buttons
+// schedule: the backup schedule being run; its format and destination are used
+// instead of the backup file and destination settings
+// Every run, successful or not, is recorded in the run journal.
+async function performBackup(trigger = 'manual', schedule = null) {
+  const format = schedule ? schedule.format : currentSettings.backupFormat;
+  const toFile = schedule ? schedule.destination !== 'bookmarks' : currentSettings.backupToFile;
+  const toBookmarks = schedule ? schedule.destination !== 'file' : currentSettings.backupToBookmarks;
+  const runId = crypto.randomUUID();
+  const run = {
+    runId,
+    startedAt: Date.now(),
+    endedAt: null,
+    trigger,
+    schedule: schedule ? schedule.name : null,
+    tabsConsidered: 0,
+    tabsBackedUp: 0,
+    // Tabs left out, by reason
+    skipped: { private: 0, pinned: 0, unsupported: 0, rule: 0, age: 0, limit: 0 },
+    destination: toFile && toBookmarks ? 'both' : (toFile ? 'file' : 'bookmarks'),
+    format: toFile ? format : null,
+    file: null,
+    error: null
+  };
   try {
     // Get current tabs
     const tabs = await browser.tabs.query({});
     const now = Date.now();
+    run.tabsConsidered = tabs.length;
     let backupCount = 0;
-    // Use debug mode if minDays < 0
+    const backedUpTabs = [];
+    const archiveCandidates = [];
+    const captureCandidates = [];
     const minDays = currentSettings.minDays;
-    for (const tab of tabs) {
+    const rules = compileRules(currentSettings.trackingRules);
+    for (const [index, tab] of tabs.entries()) {
       // Skip if tab doesn't meet criteria
-      if (currentSettings.excludePrivate && tab.incognito) continue;
-      if (currentSettings.excludePinned && tab.pinned) continue;
-      if (!tab.url || (!tab.url.startsWith('http://') && !tab.url.startsWith('https://'))) continue;
-      // If debug mode (minDays < 0), log all tabs
-      let tabAgeDays = 0;
-      if (minDays >= 0) {
-        // Only backup tabs that meet minimum age requirement
-        const createdAt = tabData[tab.id]?.createdAt || tabData[tab.id]?.lastUpdated || now;
-        tabAgeDays = (now - createdAt) / (24 * 60 * 60 * 1000);
-        if (tabAgeDays < minDays) continue;
+      if (currentSettings.excludePrivate && tab.incognito) {
+        run.skipped.private++;
+        continue;
       }
-      // Truncate title if needed
-      let title = tab.title || '';
-      if (title.length > currentSettings.maxTitleLength) {
-        title = title.substring(0, currentSettings.maxTitleLength) + '...';
+      if (currentSettings.excludePinned && tab.pinned) {
+        run.skipped.pinned++;
+        continue;
       }
-      // Always set createdAt if not present
-      if (!tabData[tab.id] || !tabData[tab.id].createdAt) {
-        tabData[tab.id] = {
-          title: title,
-          url: tab.url,
-          createdAt: now,
-          lastUpdated: now,
-          favIconUrl: tab.favIconUrl || ''
-        };
-      } else {
-        tabData[tab.id] = {
-          ...tabData[tab.id],
-          title: title,
-          url: tab.url,
-          lastUpdated: now,
-          favIconUrl: tab.favIconUrl || tabData[tab.id].favIconUrl || ''
-        };
+      if (!tab.url || (!tab.url.startsWith('http://') && !tab.url.startsWith('https://'))) {
+        run.skipped.unsupported++;
+        continue;
       }
+      const verdict = evaluateRules(tab.url, rules, minDays);
+      const identity = await getTabIdentity(tab);
+      // Tabs kept forever are backed up regardless of rules and age
+      const keep = isKeptForever(identity.uid);
+      if (verdict.excluded && !keep) {
+        run.skipped.rule++;
+        continue;
+      }
+      // Only backup tabs that meet minimum age requirement (or the rule's override)
+      const tabAgeDays = (now - getAgeStart(identity, now)) / (24 * 60 * 60 * 1000);
+      if (!keep && tabAgeDays < verdict.minDays) {
+        run.skipped.age++;
+        continue;
+      }
+      tabData[identity.uid] = buildTabEntry(tab, identity, now);
+      backedUpTabs.push(tabData[identity.uid]);
       backupCount++;
+      // Very old tabs are archived once the backup has been written
+      if (tabAgeDays >= currentSettings.archiveDays && !tab.pinned && !tab.active && !keep) {
+        archiveCandidates.push({ tabId: tab.id, uid: identity.uid, url: tab.url });
+      }
+      // Pages are captured once per URL, so a later 404 or paywall does not
+      // replace a good copy (discarded tabs have no page to capture)
+      const capture = tabData[identity.uid].capture;
+      if (currentSettings.captureEnabled && !tab.discarded && isCaptureDomain(tab.url) && !(capture && capture.url === tab.url)) {
+        captureCandidates.push({ tab, uid: identity.uid });
+      }
       // Stop if we've reached the maximum tab limit
       if (backupCount >= currentSettings.maxTabs) {
         console.log(`Reached maximum tab limit (${currentSettings.maxTabs})`);
+        run.skipped.limit = tabs.length - index - 1;
         break;
       }
     }
+    // Capture the pages of qualifying tabs
+    let capturedCount = 0;
+    if (captureCandidates.length > 0) {
+      capturedCount = await captureTabs(captureCandidates, now);
+    }
+    run.tabsBackedUp = backupCount;
     // Save backup data
     await saveTabData();
+    // Keep this run as an immutable snapshot
+    await addSnapshot({ runId, timestamp: now, trigger, tabs: backedUpTabs });
     if (backupCount === 0) {
       console.log('No tabs to back up');
-      return { success: true, count: 0, message: 'No tabs to back up' };
+      return { success: true, count: 0, runId, message: 'No tabs to back up' };
+    }
+    // Write the backed up tabs to a file in the Downloads folder
+    let file = null;
+    if (toFile) {
+      file = await writeBackupFile(backedUpTabs, trigger, format);
+      run.file = file.path;
+      backupFiles.push({ id: file.id, path: file.path, createdAt: now, trigger });
+      await saveBackupFiles();
+      if (currentSettings.retentionEnabled) {
+        await pruneBackupFiles();
+      }
+    }
+    // Save the backed up tabs into the bookmarks folder
+    let bookmarks = null;
+    if (toBookmarks) {
+      bookmarks = await writeBackupBookmarks(backedUpTabs, new Date(now));
+    }
+    console.log(`Backup completed: ${backupCount} tabs backed up`, file, bookmarks);
+    if (currentSettings.archiveEnabled && archiveCandidates.length > 0) {
+      await scheduleArchive(archiveCandidates);
     }
-    console.log(`Backup completed: ${backupCount} tabs backed up`);
-    return { success: true, count: backupCount };
+    return { success: true, count: backupCount, runId, file, bookmarks, archivePending: archiveCandidates.length, captured: capturedCount };
   } catch (error) {
     console.error('Error performing backup:', error);
+    run.error = error.message;
     return { success: false, message: error.message };
+  } finally {
+    run.endedAt = Date.now();
+    await recordRun(run);
   }
 }
 
-// Handle messages from popup and options pages
-async function handleMessage(message, sender, sendResponse) {
+// Add a run to the run journal (a journal error never fails the backup)
+async function recordRun(run) {
+  try {
+    await addRun(run);
+  } catch (error) {
+    console.error('Error recording backup run:', error);
+  }
+}
+
+// Build the log entry of a tab, keeping what is already logged for it
+function buildTabEntry(tab, identity, now) {
+  // Truncate title if needed
+  let title = tab.title || '';
+  if (title.length > currentSettings.maxTitleLength) {
+    title = title.substring(0, currentSettings.maxTitleLength) + '...';
+  }
+  const existing = tabData[identity.uid] || {};
+  return {
+    ...existing,
+    title: title,
+    url: tab.url,
+    createdAt: existing.createdAt || identity.firstSeen,
+    lastUpdated: now,
+    favIconUrl: tab.favIconUrl || existing.favIconUrl || '',
+    ...getActivity(identity.uid, now)
+  };
+}
+
+// Whether a tab was marked "keep forever" from the context menu
+function isKeptForever(uid) {
+  return !!(tabData[uid] && tabData[uid].keepForever);
+}
+
+// Whether page capture is enabled for the domain of a URL
+function isCaptureDomain(url) {
+  const hostname = getDomain(url);
+  return (currentSettings.captureDomains || []).some(pattern => globToRegExp(pattern.trim()).test(hostname));
+}
+
+// Capture the pages of the given tabs ({ tab, uid }) with the capture content
+// script and store them in IndexedDB; the log entry records the capture
+// Returns the number of captured pages
+async function captureTabs(candidates, now) {
+  const maxBytes = currentSettings.captureMaxKB * 1024;
+  let capturedCount = 0;
+  for (const { tab, uid } of candidates) {
+    try {
+      // Site access is an optional permission, granted from the options page
+      if (!(await hasCapturePermission(tab.url))) {
+        console.warn(`Not capturing ${tab.url}: no permission to access the site`);
+        continue;
+      }
+      const result = await runCaptureScript(tab.id, currentSettings.captureMode, maxBytes);
+      if (!result || !result.content) continue;
+      // The entry may have been removed from the Tab Log meanwhile
+      if (!tabData[uid]) continue;
+      await putCapture({ key: uid, url: tab.url, title: tab.title || '', ...result, capturedAt: now });
+      tabData[uid].capture = { url: tab.url, mode: result.mode, size: result.size, truncated: result.truncated, capturedAt: now };
+      capturedCount++;
+    } catch (error) {
+      // Some pages (e.g. addons.mozilla.org, PDF viewer) do not allow scripts
+      console.warn(`Could not capture ${tab.url}:`, error);
+    }
+  }
+  await pruneCaptures();
+  console.log(`Captured ${capturedCount} of ${candidates.length} pages`);
+  return capturedCount;
+}
+
+// Whether the extension may access a page to capture it
+async function hasCapturePermission(url) {
+  return browser.permissions.contains({ origins: [`${new URL(url).origin}/*`] });
+}
+
+// Inject the capture content script into a tab and return the capture
+// (scripting API in the Chrome build, tabs.executeScript in Firefox)
+async function runCaptureScript(tabId, mode, maxBytes) {
+  if (browser.scripting) {
+    await browser.scripting.executeScript({ target: { tabId }, files: ['capture.js'] });
+    const [injection] = await browser.scripting.executeScript({
+      target: { tabId },
+      func: (mode, maxBytes) => captureDocument(mode, maxBytes),
+      args: [mode, maxBytes]
+    });
+    return injection && injection.result;
+  }
+  await browser.tabs.executeScript(tabId, { file: '/capture.js' });
+  const [result] = await browser.tabs.executeScript(tabId, {
+    code: `captureDocument(${JSON.stringify(mode)}, ${maxBytes})`
+  });
+  return result;
+}
+
+// Remove captures of tabs that left the log, then the oldest captures until
+// the total size is within the storage limit
+async function pruneCaptures() {
+  try {
+    const captures = await listCaptures();
+    const removed = captures.filter(capture => !tabData[capture.key]);
+    const kept = captures.filter(capture => tabData[capture.key]);
+    let totalSize = kept.reduce((sum, capture) => sum + capture.size, 0);
+    const limit = currentSettings.captureStorageMB * 1024 * 1024;
+    while (totalSize > limit && kept.length > 0) {
+      const oldest = kept.shift();
+      totalSize -= oldest.size;
+      removed.push(oldest);
+      delete tabData[oldest.key].capture;
+    }
+    if (removed.length > 0) {
+      await deleteCaptures(removed.map(capture => capture.key));
+      console.log(`Removed ${removed.length} page captures`);
+    }
+  } catch (error) {
+    console.error('Error pruning page captures:', error);
+  }
+}
+
+// Write backup entries to a timestamped file in the Downloads folder
+// Returns the download ID and the absolute path of the written file
+async function writeBackupFile(entries, trigger, backupFormat) {
+  const date = new Date();
+  const format = EXPORT_FORMATS[backupFormat] ? backupFormat : DEFAULT_SETTINGS.backupFormat;
+  const content = serializeTabs(format, entries, date, trigger);
+  // Service workers (Chrome build) cannot create blob URLs, so use a data URL there
+  const mime = EXPORT_FORMATS[format].mime;
+  const canUseBlob = typeof URL.createObjectURL === 'function';
+  const fileUrl = canUseBlob
+    ? URL.createObjectURL(new Blob([content], { type: mime }))
+    : `data:${mime};charset=utf-8,${encodeURIComponent(content)}`;
+  try {
+    const downloadId = await browser.downloads.download({
+      url: fileUrl,
+      filename: buildBackupFilePath(date, format, entries.length, trigger),
+      saveAs: false,
+      conflictAction: 'uniquify'
+    });
+    const path = await waitForDownload(downloadId);
+    return { id: downloadId, path };
+  } finally {
+    if (canUseBlob) {
+      URL.revokeObjectURL(fileUrl);
+    }
+  }
+}
+
+// Build the backup file path (relative to Downloads) from the folder and name template
+function buildBackupFilePath(date, format, count, trigger) {
+  const timestamp = formatFileTimestamp(date);
+  const template = currentSettings.backupFileName || DEFAULT_SETTINGS.backupFileName;
+  let name = template
+    .replace(/\{timestamp\}/g, timestamp)
+    .replace(/\{date\}/g, timestamp.slice(0, 10))
+    .replace(/\{time\}/g, timestamp.slice(11))
+    .replace(/\{count\}/g, String(count))
+    .replace(/\{trigger\}/g, trigger);
+  // Replace characters that are not allowed in file names
+  name = name.replace(/[\\/:*?"<>|]/g, '_').trim() || `tabs-backup-${timestamp}`;
+  // Downloads API only accepts relative paths without '..' segments
+  const folder = (currentSettings.backupFolder || '')
+    .split(/[\\/]+/)
+    .map(part => part.replace(/[:*?"<>|]/g, '_').trim())
+    .filter(part => part && part !== '.' && part !== '..')
+    .join('/');
+  return (folder ? folder + '/' : '') + name + '.' + EXPORT_FORMATS[format].extension;
+}
+
+// Announce an archive of backed up tabs and close them after the undo window
+async function scheduleArchive(candidates) {
+  const undoSeconds = currentSettings.archiveUndoSeconds;
+  await browser.storage.local.set({ pendingArchive: { tabs: candidates, dueAt: Date.now() + undoSeconds * 1000 } });
+  await browser.notifications.create(ARCHIVE_NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: browser.runtime.getURL('icons/icon-48.png'),
+    title: 'Archiving long-open tabs',
+    message: `${candidates.length} backed up tab${candidates.length === 1 ? '' : 's'} open for ${currentSettings.archiveDays}+ days will be closed in ${undoSeconds} seconds. Click here to keep them open.`
+  });
+  await browser.alarms.create(ARCHIVE_ALARM, { when: Date.now() + undoSeconds * 1000 });
+  console.log(`Archive of ${candidates.length} tabs scheduled`);
+}
+
+// Cancel a pending archive (undo)
+async function cancelPendingArchive() {
+  await browser.alarms.clear(ARCHIVE_ALARM);
+  await browser.storage.local.remove('pendingArchive');
+  await browser.notifications.clear(ARCHIVE_NOTIFICATION_ID);
+  console.log('Pending archive cancelled');
+}
+
+// Handle clicks on extension notifications
+async function handleNotificationClicked(notificationId) {
+  try {
+    if (notificationId === ARCHIVE_NOTIFICATION_ID) {
+      await cancelPendingArchive();
+    } else if (notificationId === TAB_ALERT_NOTIFICATION_ID) {
+      await browser.notifications.clear(TAB_ALERT_NOTIFICATION_ID);
+      await openTabLog();
+    }
+  } catch (error) {
+    console.error('Error handling notification click:', error);
+  }
+}
+
+// Handle the buttons of the tab count notification (browsers without
+// notification buttons offer the same actions in the Tab Log)
+async function handleNotificationButtonClicked(notificationId, buttonIndex) {
+  if (notificationId !== TAB_ALERT_NOTIFICATION_ID) return;
+  try {
+    await runTabAlertAction(buttonIndex === 0 ? 'backup' : 'archiveOldest');
+  } catch (error) {
+    console.error('Error handling notification button:', error);
+  }
+}
+
+// Run an action of the tab count notification: 'backup' or 'archiveOldest'
+// The notification and the alert shown in the Tab Log are dismissed.
+async function runTabAlertAction(action) {
+  await browser.notifications.clear(TAB_ALERT_NOTIFICATION_ID);
+  await browser.storage.local.remove('activeTabAlert');
+  if (action === 'archiveOldest') {
+    return archiveOldestTabs(ARCHIVE_OLDEST_COUNT);
+  }
+  const result = await performBackup('notification');
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+  return result;
+}
+
+// Create or clear the periodic tab count check
+async function scheduleTabAlerts() {
+  try {
+    if (currentSettings.alertsEnabled) {
+      await browser.alarms.create(TAB_ALERT_ALARM, { periodInMinutes: 60 });
+    } else {
+      await browser.alarms.clear(TAB_ALERT_ALARM);
+    }
+  } catch (error) {
+    console.error('Error scheduling tab count notifications:', error);
+  }
+}
+
+// Whether a time falls within the quiet hours (which may span midnight)
+function isQuietTime(date) {
+  if (!currentSettings.quietHoursEnabled) return false;
+  const toMinutes = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const start = toMinutes(currentSettings.quietHoursStart);
+  const end = toMinutes(currentSettings.quietHoursEnd);
+  const current = date.getHours() * 60 + date.getMinutes();
+  return start <= end ? (current >= start && current < end) : (current >= start || current < end);
+}
+
+// Open http(s) tabs that would be backed up, oldest first, with their age
+// start and the minimum age that applies to them (rules may override minDays)
+async function getTrackedTabsByAge(now) {
+  const tabs = await browser.tabs.query({});
+  const rules = compileRules(currentSettings.trackingRules);
+  const tracked = [];
+  for (const tab of tabs) {
+    if (!tab.url || (!tab.url.startsWith('http://') && !tab.url.startsWith('https://'))) continue;
+    if (currentSettings.excludePrivate && tab.incognito) continue;
+    if (currentSettings.excludePinned && tab.pinned) continue;
+    const verdict = evaluateRules(tab.url, rules, currentSettings.minDays);
+    const identity = await getTabIdentity(tab);
+    if (verdict.excluded && !isKeptForever(identity.uid)) continue;
+    tracked.push({ tab, identity, ageStart: getAgeStart(identity, now), minDays: verdict.minDays });
+  }
+  return tracked.sort((a, b) => a.ageStart - b.ageStart);
+}
+
+// Count open and long-open tabs and notify once when a threshold is crossed
+// A threshold notifies again only after the count has dropped below it;
+// crossings during quiet hours are announced once the quiet hours are over
+async function checkTabAlerts() {
+  if (!currentSettings.alertsEnabled) return;
+  try {
+    const now = Date.now();
+    const { alertState = { openTabs: false, oldTabs: false } } = await browser.storage.local.get('alertState');
+    const openTabs = (await browser.tabs.query({})).filter(tab => !(currentSettings.excludePrivate && tab.incognito)).length;
+    const tracked = await getTrackedTabsByAge(now);
+    const oldTabs = tracked.filter(({ ageStart }) => now - ageStart >= currentSettings.alertOldDays * 24 * 60 * 60 * 1000).length;
+    const messages = [];
+    const quiet = isQuietTime(new Date(now));
+    const checks = [
+      ['openTabs', currentSettings.alertOpenTabs, openTabs, `You have ${openTabs} open tabs.`],
+      ['oldTabs', currentSettings.alertOldTabs, oldTabs, `You have ${oldTabs} tabs older than ${currentSettings.alertOldDays} days.`]
+    ];
+    for (const [key, threshold, count, message] of checks) {
+      if (threshold <= 0 || count < threshold) {
+        alertState[key] = false;
+      } else if (!alertState[key] && !quiet) {
+        alertState[key] = true;
+        messages.push(message);
+      }
+    }
+    await browser.storage.local.set({ alertState });
+    // The Tab Log offers the notification's actions until the counts drop
+    if (!alertState.openTabs && !alertState.oldTabs) {
+      await browser.storage.local.remove('activeTabAlert');
+    }
+    if (messages.length === 0) return;
+    await browser.storage.local.set({ activeTabAlert: { message: messages.join(' '), notifiedAt: now } });
+    const notification = {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon-48.png'),
+      title: 'Too many long-open tabs',
+      message: `${messages.join(' ')} Click here to open the Tab Log.`
+    };
+    if (BROWSER_SUPPORT.notificationButtons) {
+      notification.buttons = [{ title: 'Back up now' }, { title: `Archive oldest ${ARCHIVE_OLDEST_COUNT}` }];
+    }
+    await browser.notifications.create(TAB_ALERT_NOTIFICATION_ID, notification);
+  } catch (error) {
+    console.error('Error checking tab count thresholds:', error);
+  }
+}
+
+// Show the number of tabs over their minimum age on the toolbar button,
+// coloured green, yellow or red by the badge thresholds
+async function updateBadge() {
+  try {
+    const windows = await browser.windows.getAll();
+    if (!currentSettings.badgeEnabled) {
+      await browser.browserAction.setBadgeText({ text: '' });
+      for (const win of windows) {
+        await browser.browserAction.setBadgeText({ text: null, windowId: win.id });
+      }
+      return;
+    }
+    const now = Date.now();
+    const longOpen = (await getTrackedTabsByAge(now))
+      .filter(({ ageStart, minDays }) => now - ageStart >= minDays * 24 * 60 * 60 * 1000);
+    const setBadge = async (count, windowId) => {
+      const color = count >= currentSettings.badgeRedAt ? BADGE_COLORS.red
+        : count >= currentSettings.badgeYellowAt ? BADGE_COLORS.yellow
+        : BADGE_COLORS.green;
+      const target = windowId === undefined ? {} : { windowId };
+      await browser.browserAction.setBadgeText({ text: count > 0 ? String(count) : '', ...target });
+      await browser.browserAction.setBadgeBackgroundColor({ color, ...target });
+    };
+    if (currentSettings.badgePerWindow && BROWSER_SUPPORT.windowBadge) {
+      for (const win of windows) {
+        await setBadge(longOpen.filter(({ tab }) => tab.windowId === win.id).length, win.id);
+      }
+    } else {
+      await setBadge(longOpen.length);
+      // Drop per-window values left over from the per-window mode
+      for (const win of windows) {
+        await browser.browserAction.setBadgeText({ text: null, windowId: win.id });
+        await browser.browserAction.setBadgeBackgroundColor({ color: null, windowId: win.id });
+      }
+    }
+  } catch (error) {
+    console.error('Error updating badge:', error);
+  }
+}
+
+// Back up, then archive the oldest backed up tabs right away
+// (pinned and active tabs are never archived)
+async function archiveOldestTabs(count) {
+  const result = await performBackup('notification');
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+  const now = Date.now();
+  const candidates = (await getTrackedTabsByAge(now))
+    .filter(({ tab, identity }) => !tab.pinned && !tab.active && tabData[identity.uid])
+    .slice(0, count)
+    .map(({ tab, identity }) => ({ tabId: tab.id, uid: identity.uid, url: tab.url }));
+  const archivedCount = await archiveTabs(candidates, now);
+  console.log(`Archived the ${archivedCount} oldest tabs`);
+  return { success: true, count: archivedCount };
+}
+
+// Close the tabs of the pending archive and mark them archived in the log
+async function archivePendingTabs() {
+  try {
+    const { pendingArchive } = await browser.storage.local.get('pendingArchive');
+    await browser.storage.local.remove('pendingArchive');
+    await browser.notifications.clear(ARCHIVE_NOTIFICATION_ID);
+    if (!pendingArchive) return;
+    const archivedCount = await archiveTabs(pendingArchive.tabs, Date.now());
+    console.log(`Archived ${archivedCount} tabs`);
+  } catch (error) {
+    console.error('Error archiving tabs:', error);
+  }
+}
+
+// Close backed up tabs ({ tabId, uid, url }) and mark them archived in the log
+// Returns the number of tabs closed
+async function archiveTabs(candidates, now) {
+  const tabIds = [];
+  for (const candidate of candidates) {
+    let tab;
+    try {
+      tab = await browser.tabs.get(candidate.tabId);
+    } catch {
+      continue; // Tab was closed in the meantime
+    }
+    // Skip tabs that navigated elsewhere, were pinned or selected, or were
+    // removed from the log since the backup
+    if (tab.url !== candidate.url || tab.pinned || tab.active || !tabData[candidate.uid]) continue;
+    tabData[candidate.uid] = { ...tabData[candidate.uid], archived: true, archivedAt: now };
+    tabIds.push(tab.id);
+  }
+  // Mark as archived before closing, so handleTabRemoved keeps the entries
+  await saveTabData();
+  await browser.tabs.remove(tabIds);
+  return tabIds.length;
+}
+
+// Reopen an archived tab and give it back its identity, so its age carries over
+async function reopenArchivedTab(key) {
+  const entry = tabData[key];
+  if (!entry) {
+    throw new Error('Archived tab not found');
+  }
+  const tab = await browser.tabs.create({ url: entry.url, active: false });
+  const identity = { uid: key, firstSeen: entry.createdAt };
+  tabIdentities.set(tab.id, identity);
+  await browser.sessions.setTabValue(tab.id, TAB_IDENTITY_KEY, identity);
+  await browser.storage.session.set({ [TAB_UID_PREFIX + tab.id]: identity.uid });
+  const { archived, archivedAt, ...rest } = entry;
+  tabData[key] = rest;
+  await saveTabData();
+}
+
+// Close all but the oldest of a set of duplicate tabs
+// The oldest copy keeps its identity (and so its logged history); the visits
+// and focus time of the closed copies are added to it. Returns the kept tab ID
+async function closeDuplicateTabs(tabIds) {
+  const copies = [];
+  for (const tabId of tabIds) {
+    try {
+      const tab = await browser.tabs.get(tabId);
+      copies.push({ tab, identity: await getTabIdentity(tab) });
+    } catch (error) {
+      // Tab was closed in the meantime
+      console.warn(`Duplicate tab ${tabId} is no longer open:`, error);
+    }
+  }
+  if (copies.length < 2) {
+    return { kept: copies.length ? copies[0].tab.id : null, closed: 0 };
+  }
+  copies.sort((a, b) => a.identity.firstSeen - b.identity.firstSeen);
+  const [oldest, ...others] = copies;
+  const keptActivity = tabActivity[oldest.identity.uid];
+  for (const { identity } of others) {
+    const activity = tabActivity[identity.uid];
+    if (keptActivity && activity) {
+      keptActivity.activationCount += activity.activationCount;
+      keptActivity.focusTime += activity.focusTime;
+    }
+  }
+  await saveTabActivity();
+  await browser.tabs.remove(others.map(({ tab }) => tab.id));
+  return { kept: oldest.tab.id, closed: others.length };
+}
+
+// Save backup entries into the backup bookmarks folder
+// 'dated' mode adds one subfolder per run, 'mirror' mode keeps a single folder
+// in sync with the latest backup. Returns the folder title and bookmark count
+async function writeBackupBookmarks(entries, date) {
+  const rootFolder = await getBackupBookmarkFolder();
+  if (currentSettings.bookmarkMode === 'mirror') {
+    const children = await browser.bookmarks.getChildren(rootFolder.id);
+    const existingByUrl = new Map();
+    for (const child of children) {
+      if (!child.url) continue;
+      // Remove duplicates and bookmarks of tabs that are no longer backed up
+      if (existingByUrl.has(child.url)) {
+        await browser.bookmarks.remove(child.id);
+      } else {
+        existingByUrl.set(child.url, child);
+      }
+    }
+    const entryUrls = new Set(entries.map(entry => entry.url));
+    for (const [url, bookmark] of existingByUrl) {
+      if (!entryUrls.has(url)) {
+        await browser.bookmarks.remove(bookmark.id);
+      }
+    }
+    for (const entry of entries) {
+      const title = entry.title || entry.url;
+      const existing = existingByUrl.get(entry.url);
+      if (!existing) {
+        await browser.bookmarks.create({ parentId: rootFolder.id, title, url: entry.url });
+      } else if (existing.title !== title) {
+        await browser.bookmarks.update(existing.id, { title });
+      }
+    }
+    return { folder: rootFolder.title, count: entryUrls.size };
+  }
+  const runFolder = await browser.bookmarks.create({ parentId: rootFolder.id, title: formatFileTimestamp(date) });
+  for (const entry of entries) {
+    await browser.bookmarks.create({ parentId: runFolder.id, title: entry.title || entry.url, url: entry.url });
+  }
+  return { folder: `${rootFolder.title}/${runFolder.title}`, count: entries.length };
+}
+
+// Find the backup bookmarks folder, creating it if it does not exist
+async function getBackupBookmarkFolder() {
+  let parentId = currentSettings.bookmarkParentId || DEFAULT_SETTINGS.bookmarkParentId;
+  const title = (currentSettings.bookmarkFolderName || '').trim() || DEFAULT_SETTINGS.bookmarkFolderName;
+  let siblings;
+  try {
+    siblings = await browser.bookmarks.getChildren(parentId);
+  } catch (error) {
+    // The chosen folder was deleted, or the settings came from the other browser
+    console.warn(`Bookmarks location ${parentId} not found, using the default:`, error);
+    parentId = DEFAULT_SETTINGS.bookmarkParentId;
+    siblings = await browser.bookmarks.getChildren(parentId);
+  }
+  const folder = siblings.find(node => !node.url && node.title === title);
+  return folder || browser.bookmarks.create({ parentId, title });
+}
+
+// Format a date for use in file names (e.g. 2026-10-19T05-00, local time)
+function formatFileTimestamp(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}-${pad(date.getMinutes())}`;
+}
+
+// Wait for a download to finish and return the absolute path of the file
+function waitForDownload(downloadId) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = item => {
+      if (settled || !item || item.state === 'in_progress') return;
+      settled = true;
+      browser.downloads.onChanged.removeListener(listener);
+      if (item.state === 'complete') {
+        resolve(item.filename);
+      } else {
+        reject(new Error(`Backup file was not written (${item.error || 'interrupted'})`));
+      }
+    };
+    const listener = async delta => {
+      if (delta.id !== downloadId || !delta.state) return;
+      const [item] = await browser.downloads.search({ id: downloadId });
+      settle(item);
+    };
+    browser.downloads.onChanged.addListener(listener);
+    // The download may already be finished before the listener was added
+    browser.downloads.search({ id: downloadId }).then(([item]) => settle(item), reject);
+  });
+}
+
+// Select the backup files to keep: the last N backups plus the newest backup
+// of each of the most recent days, weeks and months (grandfather-father-son)
+function selectRetainedBackups(files) {
+  const sorted = files.slice().sort((a, b) => b.createdAt - a.createdAt);
+  const keep = new Set(sorted.slice(0, currentSettings.retainLast));
+  const periods = [
+    { count: currentSettings.retainDaily, key: date => date.toDateString() },
+    { count: currentSettings.retainWeekly, key: date => {
+      // Key weeks by the date of their Monday
+      const monday = new Date(date);
+      monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+      return monday.toDateString();
+    } },
+    { count: currentSettings.retainMonthly, key: date => `${date.getFullYear()}-${date.getMonth()}` }
+  ];
+  for (const period of periods) {
+    const seen = new Set();
+    for (const file of sorted) {
+      const key = period.key(new Date(file.createdAt));
+      if (seen.has(key)) continue;
+      if (seen.size >= period.count) break;
+      seen.add(key);
+      keep.add(file);
+    }
+  }
+  return keep;
+}
+
+// Delete backup files that are no longer covered by the retention policy
+async function pruneBackupFiles() {
+  const keep = selectRetainedBackups(backupFiles);
+  const remaining = [];
+  let removedCount = 0;
+  for (const file of backupFiles) {
+    if (keep.has(file)) {
+      remaining.push(file);
+      continue;
+    }
+    try {
+      await browser.downloads.removeFile(file.id);
+      await browser.downloads.erase({ id: file.id });
+      removedCount++;
+    } catch (error) {
+      // File was already deleted or the download was cleared from history
+      console.warn(`Could not remove backup file ${file.path}:`, error);
+    }
+  }
+  backupFiles = remaining;
+  await saveBackupFiles();
+  console.log(`Retention: kept ${remaining.length} backup files, removed ${removedCount}`);
+}
+
+// Create the context menu items on the tab strip and the page context menu
+async function createContextMenus() {
+  try {
+    await browser.menus.removeAll();
+    const common = { contexts: ['tab', 'page'], documentUrlPatterns: ['http://*/*', 'https://*/*'] };
+    browser.menus.create({ ...common, id: MENU_BACKUP_TAB, title: 'Back up this tab now' });
+    browser.menus.create({ ...common, id: MENU_EXCLUDE_SITE, title: 'Never back up this site' });
+    browser.menus.create({ ...common, id: MENU_ARCHIVE_TAB, title: 'Archive and close tab' });
+    browser.menus.create({ ...common, id: MENU_KEEP_FOREVER, type: 'checkbox', title: 'Keep forever (always back up)' });
+  } catch (error) {
+    console.error('Error creating context menus:', error);
+  }
+}
+
+// Show the "keep forever" state of the tab the menu was opened for
+async function handleMenuShown(info, tab) {
+  if (!tab || !info.menuIds.includes(MENU_KEEP_FOREVER)) return;
+  try {
+    const identity = await getTabIdentity(tab);
+    await browser.menus.update(MENU_KEEP_FOREVER, { checked: isKeptForever(identity.uid) });
+    await browser.menus.refresh();
+  } catch (error) {
+    console.error('Error updating context menu:', error);
+  }
+}
+
+// Handle context menu clicks
+async function handleMenuClicked(info, tab) {
+  try {
+    switch (info.menuItemId) {
+      case MENU_BACKUP_TAB:
+        await backupSingleTab(tab);
+        break;
+      case MENU_EXCLUDE_SITE:
+        await excludeSite(tab.url);
+        break;
+      case MENU_ARCHIVE_TAB:
+        await archiveSingleTab(tab);
+        break;
+      case MENU_KEEP_FOREVER:
+        // Without menus.onShown (Chrome) the check mark is not updated per
+        // tab, so toggle the state of the tab itself
+        if (BROWSER_SUPPORT.menusOnShown) {
+          await setKeepForever(tab, info.checked);
+        } else {
+          await setKeepForever(tab, !isKeptForever((await getTabIdentity(tab)).uid));
+        }
+        break;
+    }
+  } catch (error) {
+    console.error('Error handling context menu click:', error);
+  }
+}
+
+// Add a tab to the log right away, regardless of its age and the tracking rules
+async function backupSingleTab(tab) {
+  const identity = await getTabIdentity(tab);
+  tabData[identity.uid] = buildTabEntry(tab, identity, Date.now());
+  await saveTabData();
+  console.log(`Backed up tab from context menu: ${tab.url}`);
+}
+
+// Add an exclude rule for the tab's site in front of the existing rules
+async function excludeSite(url) {
+  const hostname = getDomain(url);
+  if (!hostname) return;
+  const rules = currentSettings.trackingRules || [];
+  if (rules.some(rule => rule.action === 'exclude' && rule.type === 'glob' && rule.pattern === hostname)) return;
+  currentSettings.trackingRules = [{ pattern: hostname, type: 'glob', action: 'exclude', minDays: null }, ...rules];
+  await browser.storage.local.set({ settings: currentSettings });
+  await updateBadge();
+  console.log(`Excluded site from backups: ${hostname}`);
+}
+
+// Log a tab (regardless of age) and archive it right away
+async function archiveSingleTab(tab) {
+  const identity = await getTabIdentity(tab);
+  const now = Date.now();
+  tabData[identity.uid] = { ...buildTabEntry(tab, identity, now), archived: true, archivedAt: now };
+  // Mark as archived before closing, so handleTabRemoved keeps the entry
+  await saveTabData();
+  await browser.tabs.remove(tab.id);
+  console.log(`Archived tab from context menu: ${tab.url}`);
+}
+
+// Mark or unmark a tab as "keep forever": it is then always backed up, never
+// archived, and stays in the log when closed
+async function setKeepForever(tab, keep) {
+  const identity = await getTabIdentity(tab);
+  if (keep) {
+    tabData[identity.uid] = { ...buildTabEntry(tab, identity, Date.now()), keepForever: true };
+  } else if (tabData[identity.uid]) {
+    const { keepForever, ...rest } = tabData[identity.uid];
+    tabData[identity.uid] = rest;
+  }
+  await saveTabData();
+  await updateBadge();
+}
+
+// Open the Tab Log dashboard in a new tab
+async function openTabLog() {
+  await browser.tabs.create({ url: browser.runtime.getURL('tabs.html') });
+}
+
+// Handle keyboard shortcuts (same code paths as the popup and the context menu)
+async function handleCommand(command) {
+  try {
+    if (command === 'backup-now') {
+      const result = await performBackup();
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+      return;
+    }
+    if (command === 'open-tab-log') {
+      await openTabLog();
+      return;
+    }
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !tab.url || (!tab.url.startsWith('http://') && !tab.url.startsWith('https://'))) {
+      console.log(`Shortcut ${command} ignored: the current tab is not a web page`);
+      return;
+    }
+    if (command === 'backup-current-tab') {
+      await backupSingleTab(tab);
+    } else if (command === 'archive-current-tab') {
+      await archiveSingleTab(tab);
+    }
+  } catch (error) {
+    console.error(`Error handling shortcut ${command}:`, error);
+  }
+}
+
+// Handle messages from popup and options pages; the returned object is the
+// response (errors are answered with { error })
+async function handleMessage(message) {
   try {
     switch (message.action) {
       case 'getTabCount':
         // Return count of tracked tabs
-        sendResponse({ count: Object.keys(tabData).length });
-        break;
+        return { count: Object.keys(tabData).length };
         
       case 'performBackup':
         // Perform manual backup
         const result = await performBackup();
-        sendResponse(result);
-        break;
+        return result;
         
       case 'getSettings':
         // Return current settings
-        sendResponse({ settings: currentSettings });
-        break;
+        return { settings: currentSettings };
         
       case 'updateSettings':
-        // Update settings and reschedule alarm if needed
-        currentSettings = { ...currentSettings, ...message.settings };
-        await browser.storage.local.set({ settings: currentSettings });
+        // Update settings and reschedule alarms (invalid settings are
+        // rejected and the current ones stay in effect)
+        await applySettings({ ...currentSettings, ...message.settings });
+        return { success: true };
         
-        if (currentSettings.autoBackupEnabled) {
-          await scheduleAutomaticBackup();
-        } else {
-          await browser.alarms.clear('automaticBackup');
+      case 'getProfiles':
+        // Return the profile names and the active profile
+        return { profiles: await getProfileNames(), active: activeProfile };
+        
+      case 'switchProfile':
+        // Make another profile active and apply its settings
+        await switchProfile(message.name);
+        return { success: true, settings: currentSettings };
+        
+      case 'saveProfile':
+        // Create or overwrite a profile (with the current settings by default)
+        await saveProfile(message.name, message.settings || currentSettings);
+        return { success: true };
+        
+      case 'deleteProfile':
+        // Delete a profile other than the active one
+        await deleteProfile(message.name);
+        return { success: true };
+        
+      case 'getTabActivity':
+        // Return activity of open tabs (by tab ID) and of all tracked identities
+        const now = Date.now();
+        const byTabId = {};
+        for (const [tabId, identity] of tabIdentities) {
+          // Tabs whose identity is still being looked up are picked up next time
+          if (identity instanceof Promise) continue;
+          byTabId[tabId] = getActivity(identity.uid, now);
         }
+        const byUid = {};
+        for (const uid in tabActivity) {
+          byUid[uid] = getActivity(uid, now);
+        }
+        return { byTabId, byUid };
         
-        sendResponse({ success: true });
-        break;
+      case 'reopenArchived':
+        // Reopen an archived tab from the Tab Log dashboard
+        await reopenArchivedTab(message.key);
+        return { success: true };
+        
+      case 'getTabAlert':
+        // The active tab count alert, offered with its actions in the Tab Log
+        const { activeTabAlert = null } = await browser.storage.local.get('activeTabAlert');
+        return { alert: activeTabAlert, archiveCount: ARCHIVE_OLDEST_COUNT };
+        
+      case 'runTabAlertAction':
+        // "Back up now" or "Archive oldest" from the Tab Log alert
+        return await runTabAlertAction(message.tabAlertAction);
+        
+      case 'closeDuplicates':
+        // Close duplicate tabs from the Tab Log dashboard, keeping the oldest copy
+        return { success: true, ...(await closeDuplicateTabs(message.tabIds)) };
         
       case 'getBackupStatus':
         // Return backup status information
         const status = {
           tabCount: Object.keys(tabData).length,
+          retainedBackups: backupFiles.length,
           lastBackup: lastAutomaticBackup,
           autoBackupEnabled: currentSettings.autoBackupEnabled,
-          nextBackup: null
+          nextBackup: null,
+          failedScheduledRun: null
         };
         
+        // Report the last scheduled run if it failed
+        const lastScheduledRun = await getLastRun(['alarm', 'catchup']);
+        if (lastScheduledRun && lastScheduledRun.error) {
+          status.failedScheduledRun = lastScheduledRun;
+        }
+        
         // Calculate next backup time if enabled
         if (currentSettings.autoBackupEnabled) {
-          const alarms = await browser.alarms.get('automaticBackup');
-          if (alarms.length > 0) {
-            status.nextBackup = alarms[0].scheduledTime;
+          const alarm = await browser.alarms.get(SCHEDULE_ALARM);
+          if (alarm) {
+            status.nextBackup = alarm.scheduledTime;
           }
         }
         
-        sendResponse(status);
-        break;
+        return status;
         
       default:
-        sendResponse({ error: 'Unknown action' });
+        return { error: 'Unknown action' };
     }
   } catch (error) {
     console.error('Error handling message:', error);
-    sendResponse({ error: error.message });
+    return { error: error.message };
   }
-  
-  return true; // Keep message channel open for async response
 }
 
 // Initialize when the script loads
-initialize(); 
-initialize(); 
\ No newline at end of file
+initialize();
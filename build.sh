@@ -0,0 +1,59 @@
+#!/bin/sh
+# ============================================================================
+# BUILD SCRIPT for Backup Long-Open Tabs Extension
+#
+# Packages the shared source tree for both browsers:
+#   dist/firefox/  + dist/backup-long-open-tabs-firefox-<version>.zip  (MV2, manifest.json)
+#   dist/chrome/   + dist/backup-long-open-tabs-chrome-<version>.zip   (MV3, manifest.chrome.json)
+# Usage: ./build.sh [firefox|chrome]   (builds both when no target is given)
+# ============================================================================
+
+set -e
+
+cd "$(dirname "$0")"
+
+# Files shipped in both packages
+COMMON_FILES="compat.js database.js formats.js rules.js schedule.js settings.js query.js background.js capture.js
+popup.html popup.js options.html options.js tabs.html tabs.js history.html history.js viewer.html viewer.js
+styles.css LICENSE icons"
+
+# Read the "version" field of a manifest
+manifest_version() {
+  sed -n 's/^ *"version": *"\([^"]*\)".*/\1/p' "$1"
+}
+
+VERSION=$(manifest_version manifest.json)
+if [ "$VERSION" != "$(manifest_version manifest.chrome.json)" ]; then
+  echo "Version mismatch: update \"version\" in manifest.json and manifest.chrome.json together" >&2
+  exit 1
+fi
+
+# Copy the files of one target into dist/<target> and zip them
+build_target() {
+  target=$1
+  manifest=$2
+  shift 2
+  out="dist/$target"
+  rm -rf "$out"
+  mkdir -p "$out"
+  # shellcheck disable=SC2086
+  cp -R $COMMON_FILES "$@" "$out/"
+  cp "$manifest" "$out/manifest.json"
+  archive="backup-long-open-tabs-$target-$VERSION.zip"
+  rm -f "dist/$archive"
+  (cd "$out" && zip -qr "../$archive" .)
+  echo "Built dist/$archive"
+}
+
+case "${1:-all}" in
+  firefox) build_target firefox manifest.json ;;
+  chrome) build_target chrome manifest.chrome.json service-worker.js ;;
+  all)
+    build_target firefox manifest.json
+    build_target chrome manifest.chrome.json service-worker.js
+    ;;
+  *)
+    echo "Usage: $0 [firefox|chrome]" >&2
+    exit 1
+    ;;
+esac
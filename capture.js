@@ -0,0 +1,99 @@
+// ============================================================================
+// PAGE CAPTURE CONTENT SCRIPT for Backup Long-Open Tabs Extension
+//
+// Injected into qualifying tabs by performBackup() when page capture is
+// enabled. Defines captureDocument(), which the background script calls to
+// take a copy of the page:
+//   - 'text': the readable text of the article (or main content)
+//   - 'html': a single-file HTML snapshot with scripts removed, same-origin
+//             stylesheets inlined and a <base> so relative links still resolve
+// Snapshots larger than the size cap fall back to the readable text, which is
+// truncated to the cap.
+// The script may be injected into the same page more than once, so it only
+// declares functions (a repeated top-level const would be a redeclaration).
+// ============================================================================
+
+// Extract the readable text: the longest <article>, else <main>, else the body
+function captureReadableText() {
+  const candidates = Array.from(document.querySelectorAll('article'));
+  let root = candidates.sort((a, b) => b.innerText.length - a.innerText.length)[0] ||
+    document.querySelector('main, [role="main"]') ||
+    document.body;
+  if (!root) return '';
+  // innerText only reflects layout for attached elements, so strip noise from
+  // a clone and read its textContent paragraph by paragraph
+  root = root.cloneNode(true);
+  // Elements that never belong to the readable text of a page
+  root.querySelectorAll('script, style, noscript, template, iframe, nav, header, footer, aside, form, [role="navigation"], [role="banner"], [aria-hidden="true"]')
+    .forEach(el => el.remove());
+  const blocks = root.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, td, figcaption');
+  const lines = blocks.length > 0
+    ? Array.from(blocks).map(el => el.textContent.replace(/\s+/g, ' ').trim())
+    : root.textContent.split(/\n+/).map(line => line.replace(/\s+/g, ' ').trim());
+  return lines.filter(line => line).join('\n\n');
+}
+
+// Serialize the page into a single HTML file without scripts
+function captureHtmlSnapshot() {
+  const clone = document.documentElement.cloneNode(true);
+  clone.querySelectorAll('script, noscript, iframe, object, embed').forEach(el => el.remove());
+  // Drop inline event handlers
+  clone.querySelectorAll('*').forEach(el => {
+    for (const attribute of Array.from(el.attributes)) {
+      if (attribute.name.startsWith('on')) el.removeAttribute(attribute.name);
+    }
+  });
+  // Inline stylesheets that can be read (cross-origin sheets throw)
+  let css = '';
+  for (const sheet of Array.from(document.styleSheets)) {
+    try {
+      css += Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n') + '\n';
+    } catch {
+      // Cross-origin stylesheet: keep its <link> so it loads when online
+    }
+  }
+  let head = clone.querySelector('head');
+  if (!head) {
+    head = document.createElement('head');
+    clone.prepend(head);
+  }
+  if (css) {
+    clone.querySelectorAll('style').forEach(el => el.remove());
+    const style = document.createElement('style');
+    style.textContent = css;
+    head.appendChild(style);
+  }
+  if (!clone.querySelector('base')) {
+    const base = document.createElement('base');
+    base.href = document.baseURI;
+    head.prepend(base);
+  }
+  return '<!DOCTYPE html>\n' + clone.outerHTML;
+}
+
+// Truncate a string to at most maxBytes of UTF-8
+function truncateToBytes(text, maxBytes) {
+  const bytes = new TextEncoder().encode(text);
+  if (bytes.length <= maxBytes) return text;
+  // Decoding a cut multi-byte character yields U+FFFD, which is dropped
+  return new TextDecoder().decode(bytes.slice(0, maxBytes)).replace(/\uFFFD$/, '');
+}
+
+// Capture the page; returns { mode, content, size, truncated }
+function captureDocument(mode, maxBytes) {
+  if (mode === 'html') {
+    const html = captureHtmlSnapshot();
+    const size = new TextEncoder().encode(html).length;
+    if (size <= maxBytes) {
+      return { mode: 'html', content: html, size, truncated: false };
+    }
+  }
+  const text = captureReadableText();
+  const content = truncateToBytes(text, maxBytes);
+  return {
+    mode: 'text',
+    content,
+    size: new TextEncoder().encode(content).length,
+    truncated: content.length < text.length
+  };
+}
@@ -0,0 +1,207 @@
+// ============================================================================
+// BROWSER COMPATIBILITY LAYER for Backup Long-Open Tabs Extension
+//
+// The extension is written against Firefox's promise-based `browser.*` API.
+// In Firefox this file only defines BROWSER_SUPPORT. In Chrome/Chromium (the
+// Manifest V3 build) it defines `browser` on top of `chrome`:
+//   - chrome.* calls already return promises in MV3 when no callback is
+//     passed, so they are forwarded unchanged
+//   - browserAction maps to action and menus to contextMenus (Chrome has no
+//     'tab' context, so it is dropped from menu items)
+//   - runtime.onMessage listeners may return a promise whose resolved value
+//     is the response, as in Firefox (sendResponse is then ignored)
+//   - sessions.getTabValue/setTabValue are emulated: values live in
+//     storage.session for the browser session and are copied to
+//     storage.local by URL, so restored tabs get them back after a restart
+// BROWSER_SUPPORT lists the features that only one of the browsers has, so
+// callers can fall back instead of failing. sendBackgroundMessage() is how the
+// extension pages talk to the background script in both builds.
+// ============================================================================
+
+// True when running on Chrome/Chromium through this compatibility layer
+const USING_CHROME_COMPAT = typeof globalThis.browser === 'undefined' && typeof globalThis.chrome !== 'undefined';
+
+// Features that differ between the Firefox and the Chrome build
+const BROWSER_SUPPORT = {
+  menusOnShown: !USING_CHROME_COMPAT,      // Updating menu items right before they are shown
+  windowBadge: !USING_CHROME_COMPAT,       // Toolbar badge text per window
+  shortcutEditing: !USING_CHROME_COMPAT,   // Changing shortcuts from the options page
+  createDiscarded: !USING_CHROME_COMPAT,   // Opening tabs unloaded (tabs.create with discarded and title)
+  notificationButtons: USING_CHROME_COMPAT // Buttons on notifications
+};
+
+// Storage key prefix of the emulated tab values
+const TAB_VALUES_PREFIX = 'tabValues:';
+
+// Forward every property of a chrome namespace except the overridden ones
+// (functions stay bound to their namespace)
+function overlayNamespace(target, overrides) {
+  return new Proxy(target, {
+    get(namespace, property) {
+      if (Object.prototype.hasOwnProperty.call(overrides, property)) {
+        return overrides[property];
+      }
+      const value = namespace[property];
+      return typeof value === 'function' ? value.bind(namespace) : value;
+    }
+  });
+}
+
+// runtime.onMessage whose listeners may return a promise: as in Firefox, the
+// resolved value is the response and later sendResponse calls are ignored
+// (a rejected promise is answered with { error })
+function createMessageEvent(chromeEvent) {
+  const wrappers = new Map();
+  return {
+    addListener(listener) {
+      const wrapper = (message, sender, sendResponse) => {
+        let promised = false;
+        const result = listener(message, sender, response => {
+          if (!promised) sendResponse(response);
+        });
+        if (result && typeof result.then === 'function') {
+          promised = true;
+          result.then(sendResponse, error => {
+            console.error('Error in message listener:', error);
+            sendResponse({ error: error.message });
+          });
+          return true; // Keep the channel open for the asynchronous response
+        }
+        return result;
+      };
+      wrappers.set(listener, wrapper);
+      chromeEvent.addListener(wrapper);
+    },
+    removeListener(listener) {
+      if (wrappers.has(listener)) {
+        chromeEvent.removeListener(wrappers.get(listener));
+        wrappers.delete(listener);
+      }
+    },
+    hasListener(listener) {
+      return wrappers.has(listener);
+    }
+  };
+}
+
+// Read the emulated values of a tab: { url, values }
+async function getTabValueRecord(chromeApi, tabId) {
+  const sessionKey = TAB_VALUES_PREFIX + tabId;
+  const stored = await chromeApi.storage.session.get(sessionKey);
+  if (stored[sessionKey]) {
+    return stored[sessionKey];
+  }
+  // Tab IDs change when the browser restarts: adopt the values saved for the URL
+  const tab = await chromeApi.tabs.get(tabId);
+  const urlKey = TAB_VALUES_PREFIX + tab.url;
+  const saved = await chromeApi.storage.local.get(urlKey);
+  const record = { url: tab.url, values: saved[urlKey] || {} };
+  await chromeApi.storage.session.set({ [sessionKey]: record });
+  return record;
+}
+
+// Store the emulated values of a tab for the session and by URL
+async function setTabValueRecord(chromeApi, tabId, record) {
+  await chromeApi.storage.session.set({ [TAB_VALUES_PREFIX + tabId]: record });
+  await chromeApi.storage.local.set({ [TAB_VALUES_PREFIX + record.url]: record.values });
+}
+
+// sessions.getTabValue/setTabValue/removeTabValue on top of chrome.storage
+function createSessionsEmulation(chromeApi) {
+  // Follow navigations and drop the values of closed tabs (Chrome does not
+  // report the tabs still open when it quits, so those keep their values)
+  chromeApi.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+    if (!changeInfo.url) return;
+    try {
+      const sessionKey = TAB_VALUES_PREFIX + tabId;
+      const stored = await chromeApi.storage.session.get(sessionKey);
+      const record = stored[sessionKey];
+      if (!record || record.url === changeInfo.url) return;
+      await chromeApi.storage.local.remove(TAB_VALUES_PREFIX + record.url);
+      await setTabValueRecord(chromeApi, tabId, { url: changeInfo.url, values: record.values });
+    } catch (error) {
+      console.error('Error moving tab values:', error);
+    }
+  });
+  chromeApi.tabs.onRemoved.addListener(async tabId => {
+    try {
+      const sessionKey = TAB_VALUES_PREFIX + tabId;
+      const stored = await chromeApi.storage.session.get(sessionKey);
+      if (!stored[sessionKey]) return;
+      await chromeApi.storage.session.remove(sessionKey);
+      await chromeApi.storage.local.remove(TAB_VALUES_PREFIX + stored[sessionKey].url);
+    } catch (error) {
+      console.error('Error removing tab values:', error);
+    }
+  });
+  return {
+    async getTabValue(tabId, key) {
+      const record = await getTabValueRecord(chromeApi, tabId);
+      return record.values[key];
+    },
+    async setTabValue(tabId, key, value) {
+      const record = await getTabValueRecord(chromeApi, tabId);
+      record.values[key] = value;
+      await setTabValueRecord(chromeApi, tabId, record);
+    },
+    async removeTabValue(tabId, key) {
+      const record = await getTabValueRecord(chromeApi, tabId);
+      delete record.values[key];
+      await setTabValueRecord(chromeApi, tabId, record);
+    }
+  };
+}
+
+// Build the `browser` namespace used by the extension from `chrome`
+function createBrowserCompat(chromeApi) {
+  const compat = {};
+  for (const name of ['alarms', 'bookmarks', 'commands', 'downloads', 'notifications', 'permissions', 'scripting', 'storage', 'tabs', 'windows']) {
+    if (chromeApi[name]) {
+      compat[name] = chromeApi[name];
+    }
+  }
+  compat.runtime = overlayNamespace(chromeApi.runtime, {
+    onMessage: createMessageEvent(chromeApi.runtime.onMessage)
+  });
+  if (chromeApi.action) {
+    // Chrome badges are global or per tab; per-window calls are ignored
+    // (callers check BROWSER_SUPPORT.windowBadge)
+    const skipWindow = method => details =>
+      details.windowId === undefined ? chromeApi.action[method](details) : Promise.resolve();
+    compat.browserAction = overlayNamespace(chromeApi.action, {
+      setBadgeText: skipWindow('setBadgeText'),
+      setBadgeBackgroundColor: skipWindow('setBadgeBackgroundColor')
+    });
+  }
+  if (chromeApi.contextMenus) {
+    compat.menus = overlayNamespace(chromeApi.contextMenus, {
+      create: (properties, callback) => chromeApi.contextMenus.create({
+        ...properties,
+        contexts: properties.contexts && properties.contexts.filter(context => context !== 'tab')
+      }, callback)
+    });
+  }
+  // The emulation listens to tab events, which only the service worker needs
+  const isServiceWorker = typeof ServiceWorkerGlobalScope !== 'undefined' && globalThis instanceof ServiceWorkerGlobalScope;
+  if (isServiceWorker && chromeApi.storage.session) {
+    compat.sessions = createSessionsEmulation(chromeApi);
+  }
+  return compat;
+}
+
+// Send a message to the background script and return its response object.
+// Throws on an { error } response and on a response that is not an object.
+async function sendBackgroundMessage(message) {
+  const response = await browser.runtime.sendMessage(message);
+  if (!response || typeof response !== 'object') {
+    throw new Error(`Unexpected response from the background script to "${message.action}"`);
+  }
+  if (response.error) {
+    throw new Error(response.error);
+  }
+  return response;
+}
+
+if (USING_CHROME_COMPAT) {
+  globalThis.browser = createBrowserCompat(chrome);
+}
@@ -0,0 +1,240 @@
+// ============================================================================
+// DATABASE HELPERS for Backup Long-Open Tabs Extension
+//
+// IndexedDB storage shared by the background script and the extension pages.
+// IndexedDB is used for data that can outgrow the storage.local quota:
+//   - Backup snapshots: one immutable record per backup run
+//   - Page captures: the latest saved copy (text or HTML) of each logged tab
+//   - Run journal: what happened on each manual, scheduled or catch-up backup
+// ============================================================================
+
+const DB_NAME = 'backup-long-open-tabs';
+const DB_VERSION = 3;
+
+// Object store names
+const SNAPSHOT_STORE = 'snapshots';
+const CAPTURE_STORE = 'captures';
+const RUN_STORE = 'runs';
+
+// Number of runs kept in the run journal (older ones are removed)
+const RUN_JOURNAL_LIMIT = 500;
+
+// Open the database, creating or upgrading object stores as needed
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+        const store = db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'runId' });
+        store.createIndex('timestamp', 'timestamp');
+      }
+      // Version 2: page captures keyed by the tab's log key
+      if (!db.objectStoreNames.contains(CAPTURE_STORE)) {
+        const store = db.createObjectStore(CAPTURE_STORE, { keyPath: 'key' });
+        store.createIndex('capturedAt', 'capturedAt');
+      }
+      // Version 3: run journal keyed by run ID
+      if (!db.objectStoreNames.contains(RUN_STORE)) {
+        const store = db.createObjectStore(RUN_STORE, { keyPath: 'runId' });
+        store.createIndex('startedAt', 'startedAt');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Wrap an IndexedDB request in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolve once a transaction has been committed
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+// Store a backup snapshot; snapshots are immutable, so an existing run ID is an error
+async function addSnapshot(snapshot) {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(SNAPSHOT_STORE, 'readwrite');
+    transaction.objectStore(SNAPSHOT_STORE).add(snapshot);
+    await transactionDone(transaction);
+  } finally {
+    db.close();
+  }
+}
+
+// Get a single snapshot (including its tab list) by run ID
+async function getSnapshot(runId) {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(SNAPSHOT_STORE, 'readonly');
+    return await requestToPromise(transaction.objectStore(SNAPSHOT_STORE).get(runId));
+  } finally {
+    db.close();
+  }
+}
+
+// List snapshot summaries (without tab lists), newest first
+async function listSnapshots() {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(SNAPSHOT_STORE, 'readonly');
+    const index = transaction.objectStore(SNAPSHOT_STORE).index('timestamp');
+    const summaries = [];
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const { runId, timestamp, trigger, tabs } = cursor.value;
+        summaries.push({ runId, timestamp, trigger, tabCount: tabs.length });
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    return summaries;
+  } finally {
+    db.close();
+  }
+}
+
+// Store a page capture { key, url, title, mode, content, size, truncated, capturedAt },
+// replacing the previous capture of the same tab
+async function putCapture(capture) {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(CAPTURE_STORE, 'readwrite');
+    transaction.objectStore(CAPTURE_STORE).put(capture);
+    await transactionDone(transaction);
+  } finally {
+    db.close();
+  }
+}
+
+// Get a page capture (including its content) by log key
+async function getCapture(key) {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(CAPTURE_STORE, 'readonly');
+    return await requestToPromise(transaction.objectStore(CAPTURE_STORE).get(key));
+  } finally {
+    db.close();
+  }
+}
+
+// List capture summaries (without content), oldest first
+async function listCaptures() {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(CAPTURE_STORE, 'readonly');
+    const index = transaction.objectStore(CAPTURE_STORE).index('capturedAt');
+    const summaries = [];
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const { key, url, mode, size, capturedAt } = cursor.value;
+        summaries.push({ key, url, mode, size, capturedAt });
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    return summaries;
+  } finally {
+    db.close();
+  }
+}
+
+// Delete page captures by log key
+async function deleteCaptures(keys) {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(CAPTURE_STORE, 'readwrite');
+    const store = transaction.objectStore(CAPTURE_STORE);
+    for (const key of keys) {
+      store.delete(key);
+    }
+    await transactionDone(transaction);
+  } finally {
+    db.close();
+  }
+}
+
+// Record a backup run in the run journal and drop the oldest runs beyond
+// RUN_JOURNAL_LIMIT. A run is { runId, startedAt, endedAt, trigger, schedule,
+// tabsConsidered, tabsBackedUp, skipped, destination, format, file, error }.
+async function addRun(run) {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(RUN_STORE, 'readwrite');
+    const store = transaction.objectStore(RUN_STORE);
+    store.put(run);
+    const request = store.index('startedAt').openKeyCursor(null, 'prev');
+    let kept = 0;
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      kept++;
+      if (kept > RUN_JOURNAL_LIMIT) {
+        store.delete(cursor.primaryKey);
+      }
+      cursor.continue();
+    };
+    await transactionDone(transaction);
+  } finally {
+    db.close();
+  }
+}
+
+// List the runs of the run journal, newest first
+async function listRuns() {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(RUN_STORE, 'readonly');
+    const index = transaction.objectStore(RUN_STORE).index('startedAt');
+    return (await requestToPromise(index.getAll())).reverse();
+  } finally {
+    db.close();
+  }
+}
+
+// Get the most recent run with one of the given triggers (or null)
+async function getLastRun(triggers) {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(RUN_STORE, 'readonly');
+    const index = transaction.objectStore(RUN_STORE).index('startedAt');
+    return await new Promise((resolve, reject) => {
+      const request = index.openCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || triggers.includes(cursor.value.trigger)) {
+          resolve(cursor ? cursor.value : null);
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
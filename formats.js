@@ -0,0 +1,229 @@
+// ============================================================================
+// EXPORT FORMATS for Backup Long-Open Tabs Extension
+//
+// Serializers shared by the background script (backup files) and the Tab Log
+// dashboard (export buttons). Each format turns a list of tab entries
+// ({ title, url, createdAt, tags, note }) into file content:
+//   - json:     Backup JSON (importable by the Tab Log dashboard)
+//   - csv:      CSV with ISO dates
+//   - html:     Netscape Bookmark HTML (importable by any browser)
+//   - onetab:   OneTab-compatible "URL | title" text list
+//   - markdown: Markdown link lists grouped by domain
+//   - opml:     OPML outline grouped by domain
+// Only json, csv and onetab files can be imported back by the Tab Log dashboard.
+// ============================================================================
+
+const EXPORT_FORMATS = {
+  json: {
+    label: 'JSON',
+    extension: 'json',
+    mime: 'application/json',
+    serialize: (entries, date, trigger) => JSON.stringify({
+      exportedAt: date.toISOString(),
+      trigger: trigger,
+      tabs: entries.map(entry => ({
+        title: entry.title,
+        url: entry.url,
+        createdAt: new Date(entry.createdAt).toISOString(),
+        tags: normalizeTags(entry.tags),
+        note: entry.note || ''
+      }))
+    }, null, 2)
+  },
+  csv: {
+    label: 'CSV',
+    extension: 'csv',
+    mime: 'text/csv',
+    serialize: (entries, date) => {
+      let csv = 'Title,Domain,Opened,Age (days),URL,Tags,Note\n';
+      for (const entry of entries) {
+        const ageInDays = Math.floor((date.getTime() - entry.createdAt) / (24 * 60 * 60 * 1000));
+        csv += `"${csvEscape(entry.title)}","${csvEscape(getDomain(entry.url))}","${new Date(entry.createdAt).toISOString()}",${ageInDays},"${csvEscape(entry.url)}",`;
+        csv += `"${csvEscape(normalizeTags(entry.tags).join(', '))}","${csvEscape(entry.note)}"\n`;
+      }
+      return csv;
+    }
+  },
+  html: {
+    label: 'Bookmarks HTML',
+    extension: 'html',
+    mime: 'text/html',
+    serialize: (entries, date) => {
+      const addDate = Math.floor(date.getTime() / 1000);
+      // Tags use Firefox's TAGS attribute, notes become the bookmark description (<DD>)
+      const items = entries.map(entry => {
+        const tags = normalizeTags(entry.tags);
+        const tagsAttribute = tags.length > 0 ? ` TAGS="${escapeHtml(tags.join(','))}"` : '';
+        const description = entry.note ? `\n        <DD>${escapeHtml(entry.note)}` : '';
+        return `        <DT><A HREF="${escapeHtml(entry.url)}" ADD_DATE="${Math.floor(entry.createdAt / 1000)}"${tagsAttribute}>${escapeHtml(entry.title || entry.url)}</A>${description}`;
+      });
+      return [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<!-- This is an automatically generated file.',
+        '     It will be read and overwritten.',
+        '     DO NOT EDIT! -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>',
+        `    <DT><H3 ADD_DATE="${addDate}" LAST_MODIFIED="${addDate}">${escapeHtml(exportTitle(date))}</H3>`,
+        '    <DL><p>',
+        ...items,
+        '    </DL><p>',
+        '</DL><p>',
+        ''
+      ].join('\n');
+    }
+  },
+  onetab: {
+    label: 'OneTab',
+    extension: 'txt',
+    mime: 'text/plain',
+    serialize: entries => entries
+      .map(entry => `${entry.url} | ${(entry.title || entry.url).replace(/[\r\n]+/g, ' ')}${oneTabSuffix(entry)}`)
+      .join('\n') + '\n'
+  },
+  markdown: {
+    label: 'Markdown',
+    extension: 'md',
+    mime: 'text/markdown',
+    serialize: (entries, date) => {
+      const lines = [`# ${exportTitle(date)}`, ''];
+      for (const [domain, group] of groupByDomain(entries)) {
+        lines.push(`## ${domain}`, '');
+        for (const entry of group) {
+          const title = (entry.title || entry.url).replace(/([\\[\]])/g, '\\$1');
+          const tags = normalizeTags(entry.tags).map(tag => ` \`#${tag}\``).join('');
+          const note = entry.note ? ` — ${entry.note.replace(/[\r\n]+/g, ' ')}` : '';
+          lines.push(`- [${title}](<${entry.url}>)${tags}${note}`);
+        }
+        lines.push('');
+      }
+      return lines.join('\n');
+    }
+  },
+  opml: {
+    label: 'OPML',
+    extension: 'opml',
+    mime: 'text/x-opml',
+    serialize: (entries, date) => {
+      const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '  <head>',
+        `    <title>${escapeXml(exportTitle(date))}</title>`,
+        `    <dateCreated>${date.toUTCString()}</dateCreated>`,
+        '  </head>',
+        '  <body>'
+      ];
+      for (const [domain, group] of groupByDomain(entries)) {
+        lines.push(`    <outline text="${escapeXml(domain)}">`);
+        for (const entry of group) {
+          const tags = normalizeTags(entry.tags);
+          const category = tags.length > 0 ? ` category="${escapeXml(tags.join(','))}"` : '';
+          const note = entry.note ? ` note="${escapeXml(entry.note)}"` : '';
+          lines.push(`      <outline text="${escapeXml(entry.title || entry.url)}" type="link" url="${escapeXml(entry.url)}" created="${new Date(entry.createdAt).toUTCString()}"${category}${note}/>`);
+        }
+        lines.push('    </outline>');
+      }
+      lines.push('  </body>', '</opml>', '');
+      return lines.join('\n');
+    }
+  }
+};
+
+// Serialize tab entries in the given format (falls back to JSON)
+function serializeTabs(format, entries, date = new Date(), trigger = 'manual') {
+  const exportFormat = EXPORT_FORMATS[format] || EXPORT_FORMATS.json;
+  return exportFormat.serialize(entries, date, trigger);
+}
+
+// Title used for bookmark folders and document headings
+function exportTitle(date) {
+  return `Long-open tabs ${date.toLocaleString()}`;
+}
+
+// Normalize tags from a list or a comma-separated string: trimmed, no
+// whitespace inside a tag, duplicates (ignoring case) removed
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const seen = new Set();
+  const result = [];
+  for (const tag of list) {
+    const clean = String(tag).trim().replace(/\s+/g, '-');
+    if (clean && !seen.has(clean.toLowerCase())) {
+      seen.add(clean.toLowerCase());
+      result.push(clean);
+    }
+  }
+  return result;
+}
+
+// Tags and note appended to a OneTab line: " [tags: a, b] [note: text]"
+function oneTabSuffix(entry) {
+  const tags = normalizeTags(entry.tags);
+  let suffix = tags.length > 0 ? ` [tags: ${tags.join(', ')}]` : '';
+  if (entry.note) {
+    suffix += ` [note: ${entry.note.replace(/[\r\n]+/g, ' ')}]`;
+  }
+  return suffix;
+}
+
+// Split the tags and note off the title of an imported OneTab line
+function parseOneTabTitle(text) {
+  let title = text;
+  let note = '';
+  let tags = [];
+  const noteMatch = title.match(/ \[note: (.*)\]$/);
+  if (noteMatch) {
+    note = noteMatch[1];
+    title = title.slice(0, noteMatch.index);
+  }
+  const tagsMatch = title.match(/ \[tags: ([^\]]*)\]$/);
+  if (tagsMatch) {
+    tags = normalizeTags(tagsMatch[1]);
+    title = title.slice(0, tagsMatch.index);
+  }
+  return { title, tags, note };
+}
+
+// Group entries by domain, domains sorted alphabetically
+function groupByDomain(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const domain = getDomain(entry.url) || 'other';
+    if (!groups.has(domain)) {
+      groups.set(domain, []);
+    }
+    groups.get(domain).push(entry);
+  }
+  return [...groups].sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+// Utility: Get domain from a URL
+function getDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+// Escape a value for a double-quoted CSV field
+function csvEscape(str) {
+  return String(str || '').replace(/"/g, '""');
+}
+
+// Escape HTML for safe rendering
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"]/g, function (c) {
+    return {'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c];
+  });
+}
+
+// Escape XML attribute and text content
+function escapeXml(str) {
+  return String(str).replace(/[&<>"']/g, function (c) {
+    return {'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&apos;'}[c];
+  });
+}
@@ -0,0 +1,105 @@
+// ============================================================================
+// BACKUP HISTORY PAGE for Backup Long-Open Tabs Extension
+//
+// Shows the run journal (see database.js): one row per manual, scheduled or
+// catch-up backup run with its duration, tab counts, the tabs skipped by
+// reason, where the backup was written and any error.
+// ============================================================================
+
+// Labels of the backup triggers
+const TRIGGER_LABELS = {
+  manual: 'Manual',
+  alarm: 'Scheduled',
+  catchup: 'Catch-up',
+  notification: 'Notification'
+};
+
+// Labels of the skip reasons recorded by performBackup()
+const SKIP_LABELS = {
+  private: 'private',
+  pinned: 'pinned',
+  unsupported: 'not a web page',
+  rule: 'excluded by rule',
+  age: 'too recent',
+  limit: 'over the tab limit'
+};
+
+// Labels of the backup destinations
+const DESTINATION_LABELS = {
+  file: 'File',
+  bookmarks: 'Bookmarks',
+  both: 'File and bookmarks'
+};
+
+// Format a run duration, e.g. "850 ms" or "12.3 s"
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// Describe the skipped tabs of a run, e.g. "3 pinned, 12 too recent"
+function describeSkipped(skipped) {
+  const parts = Object.entries(SKIP_LABELS)
+    .filter(([reason]) => skipped[reason] > 0)
+    .map(([reason, label]) => `${skipped[reason]} ${label}`);
+  return parts.length > 0 ? parts.join(', ') : 'none';
+}
+
+// Build the table row of a run
+function buildRunRow(run) {
+  const row = document.createElement('tr');
+  row.className = run.error ? 'failed' : 'succeeded';
+  const addCell = (text, className = '') => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    cell.className = className;
+    row.appendChild(cell);
+    return cell;
+  };
+  addCell(new Date(run.startedAt).toLocaleString());
+  addCell(formatDuration(run.endedAt - run.startedAt), 'number');
+  const trigger = TRIGGER_LABELS[run.trigger] || run.trigger;
+  addCell(run.schedule ? `${trigger} (${run.schedule})` : trigger);
+  addCell(String(run.tabsConsidered), 'number');
+  addCell(String(run.tabsBackedUp), 'number');
+  addCell(describeSkipped(run.skipped));
+  const destination = addCell(DESTINATION_LABELS[run.destination] + (run.format ? ` (${run.format})` : ''));
+  if (run.file) {
+    const file = document.createElement('div');
+    file.className = 'file';
+    file.textContent = run.file;
+    destination.appendChild(file);
+  }
+  addCell(run.error ? `Failed: ${run.error}` : 'OK', 'result');
+  return row;
+}
+
+// Load the run journal into the table
+async function loadHistory() {
+  const body = document.getElementById('history-body');
+  const summary = document.getElementById('history-summary');
+  try {
+    const runs = await listRuns();
+    body.innerHTML = '';
+    if (runs.length === 0) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 8;
+      cell.className = 'history-empty';
+      cell.textContent = 'No backups have run yet.';
+      row.appendChild(cell);
+      body.appendChild(row);
+      summary.textContent = '';
+      return;
+    }
+    for (const run of runs) {
+      body.appendChild(buildRunRow(run));
+    }
+    const failed = runs.filter(run => run.error).length;
+    summary.textContent = `${runs.length} run${runs.length === 1 ? '' : 's'} (latest ${RUN_JOURNAL_LIMIT} are kept), ${failed} failed`;
+  } catch (error) {
+    console.error('Error loading backup history:', error);
+    summary.textContent = `Error loading backup history: ${error.message}`;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', loadHistory);
@@ -2,54 +2,87 @@
 // OPTIONS PAGE SCRIPT for Backup Long-Open Tabs Extension
 //
 // This script handles the settings page functionality, including loading/saving
-// user preferences and managing the UI state. It also handles automatic backup
-// scheduling with time-based triggers and tolerance settings.
+// user preferences and managing the UI state. Settings are validated against
+// the schema in settings.js; the background script stores them and schedules
+// the automatic backup.
 // ============================================================================
 
-// Default settings - these are used when no user settings exist
-const DEFAULT_SETTINGS = {
-  // Basic settings
-  minDays: 7,                    // Minimum days before a tab is considered "old"
-  maxTabs: 1000,                  // Maximum number of tabs to backup
-
-  // Automatic backup settings
-  autoBackupEnabled: false,      // Whether automatic backups are enabled
-  backupTime: '05:00',           // Time of day to perform backups (24-hour format)
-  backupDays: ['Mon'],           // Days of week for automatic backup (Mon-Sun)
-  toleranceHours: 12,            // Hours of tolerance for daylight saving time
-
-  // Advanced settings
-  excludePrivate: true,          // Exclude private browsing tabs
-  excludePinned: false,          // Exclude pinned tabs
-  maxTitleLength: 100,           // Maximum length for tab titles
-
-  // Appearance
-  theme: 'auto'                  // Theme setting (auto/light/dark)
-};
+// Settings read from an import file, waiting for confirmation in the preview
+let pendingSettingsImport = null;
 
 // Load settings from storage and populate the form
 async function loadSettings() {
   try {
-    // Get settings from browser storage
-    const result = await browser.storage.local.get('settings');
-    const settings = result.settings || {};
-    
-    // Merge with defaults (user settings override defaults)
-    const mergedSettings = { ...DEFAULT_SETTINGS, ...settings };
+    // Get settings from browser storage (migrated and merged with defaults)
+    const mergedSettings = await readSettings();
     
     // Populate form fields with current settings
     document.getElementById('minDays').value = mergedSettings.minDays;
+    document.getElementById('ageBasis').value = mergedSettings.ageBasis;
     document.getElementById('maxTabs').value = mergedSettings.maxTabs;
     
+    // Tracking rules
+    document.getElementById('trackingRules').innerHTML = '';
+    (mergedSettings.trackingRules || []).forEach(addRuleRow);
+    
     // Automatic backup settings
     document.getElementById('autoBackupEnabled').checked = mergedSettings.autoBackupEnabled;
-    document.getElementById('backupTime').value = mergedSettings.backupTime;
-    // Set backupDays checkboxes
-    const days = mergedSettings.backupDays || ['Mon'];
-    document.querySelectorAll('.backup-day').forEach(cb => {
-      cb.checked = days.includes(cb.value);
-    });
-    document.getElementById('toleranceHours').value = mergedSettings.toleranceHours;
+    document.getElementById('backupSchedules').innerHTML = '';
+    mergedSettings.backupSchedules.forEach(addScheduleCard);
+    updateSchedulePreview();
+    
+    // Backup retention settings
+    document.getElementById('retentionEnabled').checked = mergedSettings.retentionEnabled;
+    document.getElementById('retainLast').value = mergedSettings.retainLast;
+    document.getElementById('retainDaily').value = mergedSettings.retainDaily;
+    document.getElementById('retainWeekly').value = mergedSettings.retainWeekly;
+    document.getElementById('retainMonthly').value = mergedSettings.retainMonthly;
+    
+    // Backup destinations
+    document.getElementById('backupToFile').checked = mergedSettings.backupToFile;
+    document.getElementById('backupToBookmarks').checked = mergedSettings.backupToBookmarks;
+    await loadBookmarkFolders(mergedSettings.bookmarkParentId);
+    document.getElementById('bookmarkFolderName').value = mergedSettings.bookmarkFolderName;
+    document.getElementById('bookmarkMode').value = mergedSettings.bookmarkMode;
+    
+    // Backup file settings
+    document.getElementById('backupFormat').value = mergedSettings.backupFormat;
+    document.getElementById('backupFolder').value = mergedSettings.backupFolder;
+    document.getElementById('backupFileName').value = mergedSettings.backupFileName;
+    
+    // Archive settings
+    document.getElementById('archiveEnabled').checked = mergedSettings.archiveEnabled;
+    document.getElementById('archiveDays').value = mergedSettings.archiveDays;
+    document.getElementById('archiveUndoSeconds').value = mergedSettings.archiveUndoSeconds;
+    
+    // Page capture settings
+    document.getElementById('captureEnabled').checked = mergedSettings.captureEnabled;
+    document.getElementById('captureMode').value = mergedSettings.captureMode;
+    document.getElementById('captureDomains').value = mergedSettings.captureDomains.join(', ');
+    document.getElementById('captureMaxKB').value = mergedSettings.captureMaxKB;
+    document.getElementById('captureStorageMB').value = mergedSettings.captureStorageMB;
+    
+    // Tab count notification settings
+    document.getElementById('alertsEnabled').checked = mergedSettings.alertsEnabled;
+    document.getElementById('alertOpenTabs').value = mergedSettings.alertOpenTabs;
+    document.getElementById('alertOldTabs').value = mergedSettings.alertOldTabs;
+    document.getElementById('alertOldDays').value = mergedSettings.alertOldDays;
+    document.getElementById('quietHoursEnabled').checked = mergedSettings.quietHoursEnabled;
+    document.getElementById('quietHoursStart').value = mergedSettings.quietHoursStart;
+    document.getElementById('quietHoursEnd').value = mergedSettings.quietHoursEnd;
+    
+    // Toolbar badge settings
+    document.getElementById('badgeEnabled').checked = mergedSettings.badgeEnabled;
+    document.getElementById('badgeYellowAt').value = mergedSettings.badgeYellowAt;
+    document.getElementById('badgeRedAt').value = mergedSettings.badgeRedAt;
+    document.getElementById('badgePerWindow').checked = mergedSettings.badgePerWindow;
+    // Chrome badges cannot differ between windows
+    document.getElementById('badgePerWindow').disabled = !BROWSER_SUPPORT.windowBadge;
+    
+    // Duplicate detection settings
+    document.getElementById('duplicateIgnoredParams').value = mergedSettings.duplicateIgnoredParams.join(', ');
+    document.getElementById('duplicateIgnoreFragment').checked = mergedSettings.duplicateIgnoreFragment;
+    document.getElementById('duplicateIgnoreTrailingSlash').checked = mergedSettings.duplicateIgnoreTrailingSlash;
     
     // Advanced settings
     document.getElementById('excludePrivate').checked = mergedSettings.excludePrivate;
@@ -69,17 +102,77 @@ async function loadSettings() {
 // Save settings to storage
 async function saveSettings() {
   try {
+    // Domains typed in without leaving the field have not been asked for yet
+    await requestCapturePermission();
+    
     // Collect all form values
     const settings = {
       // Basic settings
       minDays: parseInt(document.getElementById('minDays').value) || DEFAULT_SETTINGS.minDays,
+      ageBasis: document.getElementById('ageBasis').value,
       maxTabs: parseInt(document.getElementById('maxTabs').value) || DEFAULT_SETTINGS.maxTabs,
+      trackingRules: collectRules(),
       
       // Automatic backup settings
       autoBackupEnabled: document.getElementById('autoBackupEnabled').checked,
-      backupTime: document.getElementById('backupTime').value || DEFAULT_SETTINGS.backupTime,
-      backupDays: Array.from(document.querySelectorAll('.backup-day:checked')).map(cb => cb.value),
-      toleranceHours: parseInt(document.getElementById('toleranceHours').value) || DEFAULT_SETTINGS.toleranceHours,
+      backupSchedules: collectSchedules(),
+      
+      // Backup retention settings (0 is a valid value for each keeper count)
+      retentionEnabled: document.getElementById('retentionEnabled').checked,
+      retainLast: parseRetention('retainLast'),
+      retainDaily: parseRetention('retainDaily'),
+      retainWeekly: parseRetention('retainWeekly'),
+      retainMonthly: parseRetention('retainMonthly'),
+      
+      // Backup destinations
+      backupToFile: document.getElementById('backupToFile').checked,
+      backupToBookmarks: document.getElementById('backupToBookmarks').checked,
+      bookmarkParentId: document.getElementById('bookmarkParentId').value || DEFAULT_SETTINGS.bookmarkParentId,
+      bookmarkFolderName: document.getElementById('bookmarkFolderName').value.trim() || DEFAULT_SETTINGS.bookmarkFolderName,
+      bookmarkMode: document.getElementById('bookmarkMode').value || DEFAULT_SETTINGS.bookmarkMode,
+      
+      // Backup file settings
+      backupFormat: document.getElementById('backupFormat').value || DEFAULT_SETTINGS.backupFormat,
+      backupFolder: document.getElementById('backupFolder').value.trim(),
+      backupFileName: document.getElementById('backupFileName').value.trim() || DEFAULT_SETTINGS.backupFileName,
+      
+      // Archive settings
+      archiveEnabled: document.getElementById('archiveEnabled').checked,
+      archiveDays: parseInt(document.getElementById('archiveDays').value) || DEFAULT_SETTINGS.archiveDays,
+      archiveUndoSeconds: parseInt(document.getElementById('archiveUndoSeconds').value) || DEFAULT_SETTINGS.archiveUndoSeconds,
+      
+      // Page capture settings
+      captureEnabled: document.getElementById('captureEnabled').checked,
+      captureMode: document.getElementById('captureMode').value,
+      captureDomains: document.getElementById('captureDomains').value
+        .split(',')
+        .map(domain => domain.trim())
+        .filter(domain => domain),
+      captureMaxKB: parseInt(document.getElementById('captureMaxKB').value) || DEFAULT_SETTINGS.captureMaxKB,
+      captureStorageMB: parseInt(document.getElementById('captureStorageMB').value) || DEFAULT_SETTINGS.captureStorageMB,
+      
+      // Tab count notification settings
+      alertsEnabled: document.getElementById('alertsEnabled').checked,
+      alertOpenTabs: parseInt(document.getElementById('alertOpenTabs').value) || 0,
+      alertOldTabs: parseInt(document.getElementById('alertOldTabs').value) || 0,
+      alertOldDays: parseInt(document.getElementById('alertOldDays').value) || DEFAULT_SETTINGS.alertOldDays,
+      quietHoursEnabled: document.getElementById('quietHoursEnabled').checked,
+      quietHoursStart: document.getElementById('quietHoursStart').value || DEFAULT_SETTINGS.quietHoursStart,
+      quietHoursEnd: document.getElementById('quietHoursEnd').value || DEFAULT_SETTINGS.quietHoursEnd,
+      
+      // Toolbar badge settings
+      badgeEnabled: document.getElementById('badgeEnabled').checked,
+      badgeYellowAt: parseInt(document.getElementById('badgeYellowAt').value) || DEFAULT_SETTINGS.badgeYellowAt,
+      badgeRedAt: parseInt(document.getElementById('badgeRedAt').value) || DEFAULT_SETTINGS.badgeRedAt,
+      badgePerWindow: document.getElementById('badgePerWindow').checked,
+      
+      // Duplicate detection settings
+      duplicateIgnoredParams: document.getElementById('duplicateIgnoredParams').value
+        .split(',')
+        .map(param => param.trim())
+        .filter(param => param),
+      duplicateIgnoreFragment: document.getElementById('duplicateIgnoreFragment').checked,
+      duplicateIgnoreTrailingSlash: document.getElementById('duplicateIgnoreTrailingSlash').checked,
       
       // Advanced settings
       excludePrivate: document.getElementById('excludePrivate').checked,
@@ -87,37 +180,24 @@ async function saveSettings() {
       maxTitleLength: parseInt(document.getElementById('maxTitleLength').value) || DEFAULT_SETTINGS.maxTitleLength,
       
       // Theme
-      theme: document.getElementById('theme').value || DEFAULT_SETTINGS.theme
+      theme: document.getElementById('theme').value || DEFAULT_SETTINGS.theme,
+      
+      settingsVersion: SETTINGS_VERSION
     };
     
-    // Validate settings
-    if (settings.minDays < 1 || settings.minDays > 365) {
-      throw new Error('Minimum days must be between 1 and 365');
-    }
-    if (settings.maxTabs < 1 || settings.maxTabs > 1000) {
-      throw new Error('Maximum tabs must be between 1 and 1000');
+    // Validate settings against the schema (settings.js)
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
     }
-    if (settings.backupInterval < 1 || settings.backupInterval > 30) {
-      throw new Error('Backup interval must be between 1 and 30 days');
-    }
-    if (settings.toleranceHours < 1 || settings.toleranceHours > 24) {
-      throw new Error('Tolerance hours must be between 1 and 24');
-    }
-    
-    // Save to browser storage
-    await browser.storage.local.set({ settings });
     
-    // Update the background script with new settings
-    await browser.runtime.sendMessage({
+    // The background script stores the settings and reschedules its alarms
+    const response = await browser.runtime.sendMessage({
       action: 'updateSettings',
       settings: settings
     });
-    
-    // Schedule or cancel automatic backup alarm based on settings
-    if (settings.autoBackupEnabled) {
-      await scheduleAutomaticBackup(settings);
-    } else {
-      await cancelAutomaticBackup();
+    if (response && response.error) {
+      throw new Error(response.error);
     }
     
     showStatus('Settings saved successfully!', 'success');
@@ -129,46 +209,574 @@ async function saveSettings() {
   }
 }
 
-// Schedule automatic backup alarm
-async function scheduleAutomaticBackup(settings) {
+// Add a rule row to the tracking rules editor
+function addRuleRow(rule = { pattern: '', type: 'glob', action: 'exclude', minDays: null }) {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+  
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'rule-pattern';
+  pattern.placeholder = 'e.g. mail.google.com or *.atlassian.net';
+  pattern.value = rule.pattern || '';
+  
+  const type = document.createElement('select');
+  type.className = 'rule-type';
+  type.appendChild(new Option('Glob', 'glob'));
+  type.appendChild(new Option('Regex', 'regex'));
+  type.value = rule.type || 'glob';
+  
+  const action = document.createElement('select');
+  action.className = 'rule-action';
+  action.appendChild(new Option('Exclude', 'exclude'));
+  action.appendChild(new Option('Include', 'include'));
+  action.value = rule.action || 'exclude';
+  
+  const minDays = document.createElement('input');
+  minDays.type = 'number';
+  minDays.className = 'rule-min-days';
+  minDays.min = '0';
+  minDays.max = '365';
+  minDays.placeholder = 'days';
+  minDays.title = 'Minimum days override (include rules only)';
+  minDays.value = rule.minDays === null || rule.minDays === undefined ? '' : rule.minDays;
+  const updateMinDays = () => { minDays.disabled = action.value !== 'include'; };
+  action.addEventListener('change', updateMinDays);
+  updateMinDays();
+  
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-grey';
+  remove.textContent = '✕';
+  remove.title = 'Remove rule';
+  remove.addEventListener('click', () => row.remove());
+  
+  row.append(pattern, type, action, minDays, remove);
+  document.getElementById('trackingRules').appendChild(row);
+}
+
+// Collect the rules from the tracking rules editor (empty rows are dropped)
+function collectRules() {
+  return Array.from(document.querySelectorAll('#trackingRules .rule-row'))
+    .map(row => {
+      const action = row.querySelector('.rule-action').value;
+      const minDays = parseInt(row.querySelector('.rule-min-days').value);
+      return {
+        pattern: row.querySelector('.rule-pattern').value.trim(),
+        type: row.querySelector('.rule-type').value,
+        action: action,
+        minDays: action === 'include' && !isNaN(minDays) ? minDays : null
+      };
+    })
+    .filter(rule => rule.pattern);
+}
+
+// Test a URL against the rules currently in the editor
+function testRuleUrl() {
+  const url = document.getElementById('ruleTestUrl').value.trim();
+  const result = document.getElementById('ruleTestResult');
+  const defaultMinDays = parseInt(document.getElementById('minDays').value) || DEFAULT_SETTINGS.minDays;
+  if (!url) {
+    result.textContent = 'Enter a URL to test';
+    return;
+  }
+  const verdict = evaluateRules(url, compileRules(collectRules()), defaultMinDays);
+  if (verdict.index < 0) {
+    result.textContent = `No rule matches: backed up after ${verdict.minDays} days (default)`;
+  } else if (verdict.excluded) {
+    result.textContent = `Excluded by rule ${verdict.index + 1} (${verdict.rule.pattern}): never backed up`;
+  } else {
+    result.textContent = `Included by rule ${verdict.index + 1} (${verdict.rule.pattern}): backed up after ${verdict.minDays} days`;
+  }
+}
+
+// Add a schedule card to the backup schedules editor
+function addScheduleCard(schedule = createSchedule({ name: `Backup ${document.querySelectorAll('.schedule-card').length + 1}` })) {
+  const card = document.createElement('div');
+  card.className = 'schedule-card';
+  card.dataset.id = schedule.id;
+  
+  // Name, on/off and remove
+  const header = document.createElement('div');
+  header.className = 'rule-row';
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.className = 'schedule-name';
+  name.placeholder = 'Schedule name';
+  name.value = schedule.name;
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.className = 'schedule-enabled';
+  enabled.checked = schedule.enabled;
+  const enabledLabel = document.createElement('label');
+  enabledLabel.append(enabled, 'On');
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn btn-grey';
+  remove.textContent = '✕';
+  remove.title = 'Remove schedule';
+  remove.addEventListener('click', () => {
+    card.remove();
+    updateSchedulePreview();
+  });
+  header.append(name, enabledLabel, remove);
+  
+  // When it runs; the fields of other types keep their values but are hidden
+  const timing = document.createElement('div');
+  timing.className = 'rule-row';
+  const type = document.createElement('select');
+  type.className = 'schedule-type';
+  for (const [value, label] of Object.entries(SCHEDULE_TYPES)) {
+    type.appendChild(new Option(label, value));
+  }
+  type.value = schedule.type;
+  const numberField = (className, text, value, min, max) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = className;
+    input.min = String(min);
+    input.max = String(max);
+    input.value = value;
+    const label = document.createElement('label');
+    label.append(text, input);
+    return label;
+  };
+  const minute = numberField('schedule-minute', 'at minute', schedule.minute, 0, 59);
+  const everyHours = numberField('schedule-every-hours', 'every', schedule.everyHours, 1, 23);
+  const dayOfMonth = numberField('schedule-day-of-month', 'on day', schedule.dayOfMonth, 1, 31);
+  const times = document.createElement('input');
+  times.type = 'text';
+  times.className = 'schedule-times';
+  times.placeholder = '05:00, 17:30';
+  times.title = 'Times of day (HH:MM, comma-separated); every N hours uses the first one as the start time';
+  times.value = schedule.times.join(', ');
+  timing.append(type, minute, everyHours, dayOfMonth, times);
+  
+  const days = document.createElement('div');
+  days.className = 'backup-days-row';
+  for (const day of [...SCHEDULE_DAYS.slice(1), SCHEDULE_DAYS[0]]) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'schedule-day';
+    checkbox.value = day;
+    checkbox.checked = schedule.days.includes(day);
+    const label = document.createElement('label');
+    label.append(checkbox, day);
+    days.appendChild(label);
+  }
+  
+  const showTypeFields = () => {
+    minute.style.display = type.value === 'hourly' ? '' : 'none';
+    everyHours.style.display = type.value === 'interval' ? '' : 'none';
+    dayOfMonth.style.display = type.value === 'monthly' ? '' : 'none';
+    times.style.display = type.value === 'hourly' ? 'none' : '';
+    days.style.display = type.value === 'weekly' ? '' : 'none';
+  };
+  type.addEventListener('change', showTypeFields);
+  showTypeFields();
+  
+  // What it writes where
+  const output = document.createElement('div');
+  output.className = 'rule-row';
+  const format = document.createElement('select');
+  format.className = 'schedule-format';
+  for (const option of document.getElementById('backupFormat').options) {
+    format.appendChild(new Option(option.textContent, option.value));
+  }
+  format.value = schedule.format;
+  const destination = document.createElement('select');
+  destination.className = 'schedule-destination';
+  for (const [value, label] of Object.entries(SCHEDULE_DESTINATIONS)) {
+    destination.appendChild(new Option(label, value));
+  }
+  destination.value = schedule.destination;
+  output.append(format, destination);
+  
+  card.append(header, timing, days, output);
+  document.getElementById('backupSchedules').appendChild(card);
+}
+
+// Collect the schedules from the backup schedules editor
+function collectSchedules() {
+  return Array.from(document.querySelectorAll('#backupSchedules .schedule-card'))
+    .map(card => ({
+      id: card.dataset.id,
+      name: card.querySelector('.schedule-name').value.trim(),
+      enabled: card.querySelector('.schedule-enabled').checked,
+      type: card.querySelector('.schedule-type').value,
+      minute: parseInt(card.querySelector('.schedule-minute').value),
+      everyHours: parseInt(card.querySelector('.schedule-every-hours').value),
+      days: Array.from(card.querySelectorAll('.schedule-day:checked')).map(cb => cb.value),
+      dayOfMonth: parseInt(card.querySelector('.schedule-day-of-month').value),
+      times: card.querySelector('.schedule-times').value
+        .split(',')
+        .map(time => time.trim())
+        .filter(time => time),
+      format: card.querySelector('.schedule-format').value,
+      destination: card.querySelector('.schedule-destination').value
+    }));
+}
+
+// Show the next five runs of the schedules currently in the editor
+function updateSchedulePreview() {
+  const list = document.getElementById('schedulePreview');
+  list.innerHTML = '';
+  const addItem = text => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    list.appendChild(item);
+  };
+  const schedules = collectSchedules();
+  const problem = schedules.map(checkSchedule).find(error => error);
+  if (problem) {
+    addItem(problem);
+    return;
+  }
+  if (!document.getElementById('autoBackupEnabled').checked) {
+    addItem('Automatic backups are off');
+    return;
+  }
+  const runs = upcomingRuns(schedules, Date.now(), 5);
+  if (runs.length === 0) {
+    addItem('No enabled schedule');
+    return;
+  }
+  for (const run of runs) {
+    addItem(`${new Date(run.time).toLocaleString()} (${run.schedule.name}: ${SCHEDULE_DESTINATIONS[run.schedule.destination].toLowerCase()}, ${run.schedule.format})`);
+  }
+}
+
+// Host permissions needed to capture pages on the given domain globs: one
+// match pattern per plain or '*.'-prefixed domain, all sites for other globs
+function captureOrigins(domains) {
+  const origins = new Set();
+  for (const domain of domains) {
+    origins.add(/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(domain) ? `*://${domain}/*` : '<all_urls>');
+  }
+  return origins.has('<all_urls>') ? ['<all_urls>'] : Array.from(origins);
+}
+
+// Ask for access to the capture domains when page capture is turned on or a
+// domain is added (must run in the input event handler). If access is
+// refused, page capture is turned off again.
+async function requestCapturePermission() {
+  const enabled = document.getElementById('captureEnabled');
+  if (!enabled.checked) return;
+  const domains = document.getElementById('captureDomains').value
+    .split(',')
+    .map(domain => domain.trim())
+    .filter(domain => domain);
+  if (domains.length === 0) return;
   try {
-    // Parse backup time (e.g., "05:00" -> 5 hours, 0 minutes)
-    const [hours, minutes] = settings.backupTime.split(':').map(Number);
-    
-    // Calculate next backup time
-    const now = new Date();
-    const nextBackup = new Date();
-    nextBackup.setHours(hours, minutes, 0, 0); // Set to backup time today
-    
-    // If backup time has already passed today, schedule for tomorrow
-    if (nextBackup <= now) {
-      nextBackup.setDate(nextBackup.getDate() + 1);
+    const granted = await browser.permissions.request({ origins: captureOrigins(domains) });
+    if (!granted) {
+      enabled.checked = false;
+      showStatus('Page copies need access to the capture domains; page capture was turned off', 'error');
+    }
+  } catch (error) {
+    console.error('Error requesting site access:', error);
+    showStatus(`Could not request site access: ${error.message}`, 'error');
+  }
+}
+
+// Fill the bookmark folder picker with all bookmark folders (indented by depth)
+async function loadBookmarkFolders(selectedId) {
+  const select = document.getElementById('bookmarkParentId');
+  select.innerHTML = '';
+  const [root] = await browser.bookmarks.getTree();
+  const addFolders = (nodes, depth) => {
+    for (const node of nodes) {
+      if (node.url) continue;
+      select.appendChild(new Option('\u00a0\u00a0'.repeat(depth) + (node.title || 'Untitled'), node.id));
+      addFolders(node.children || [], depth + 1);
+    }
+  };
+  addFolders(root.children || [], 0);
+  select.value = selectedId;
+  if (!select.value && select.options.length > 0) {
+    select.selectedIndex = 0;
+  }
+}
+
+// List the keyboard shortcuts with an editor for each binding
+async function loadShortcuts() {
+  const container = document.getElementById('shortcuts');
+  container.innerHTML = '';
+  try {
+    const commands = await browser.commands.getAll();
+    for (const command of commands) {
+      const row = document.createElement('div');
+      row.className = 'shortcut-row';
+      
+      const label = document.createElement('label');
+      label.htmlFor = `shortcut-${command.name}`;
+      label.textContent = command.description || command.name;
+      
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.id = `shortcut-${command.name}`;
+      input.value = command.shortcut || '';
+      input.placeholder = 'No shortcut';
+      
+      const update = document.createElement('button');
+      update.type = 'button';
+      update.className = 'btn btn-grey';
+      update.textContent = 'Update';
+      update.addEventListener('click', () => updateShortcut(command.name, input.value.trim()));
+      
+      const reset = document.createElement('button');
+      reset.type = 'button';
+      reset.className = 'btn btn-grey';
+      reset.textContent = 'Reset';
+      reset.addEventListener('click', () => resetShortcut(command.name));
+      
+      // Chrome only lets the user change shortcuts on its own settings page
+      if (BROWSER_SUPPORT.shortcutEditing) {
+        row.append(label, input, update, reset);
+      } else {
+        input.readOnly = true;
+        row.append(label, input);
+      }
+      container.appendChild(row);
+    }
+    if (!BROWSER_SUPPORT.shortcutEditing) {
+      const note = document.createElement('div');
+      note.className = 'option-description';
+      note.textContent = 'To change shortcuts, open chrome://extensions/shortcuts';
+      container.appendChild(note);
+    }
+  } catch (error) {
+    console.error('Error loading shortcuts:', error);
+    container.textContent = 'Keyboard shortcuts are not available in this browser';
+  }
+}
+
+// Change the binding of a shortcut (an empty value removes it)
+async function updateShortcut(name, shortcut) {
+  try {
+    await browser.commands.update({ name, shortcut });
+    showStatus(shortcut ? `Shortcut set to ${shortcut}` : 'Shortcut removed', 'success');
+  } catch (error) {
+    console.error('Error updating shortcut:', error);
+    showStatus(`Invalid shortcut: ${error.message}`, 'error');
+  }
+  await loadShortcuts();
+}
+
+// Restore the suggested binding of a shortcut
+async function resetShortcut(name) {
+  try {
+    await browser.commands.reset(name);
+    showStatus('Shortcut reset to default', 'success');
+  } catch (error) {
+    console.error('Error resetting shortcut:', error);
+    showStatus('Failed to reset shortcut', 'error');
+  }
+  await loadShortcuts();
+}
+
+// List the settings profiles with switch and delete buttons
+async function loadProfileList() {
+  const container = document.getElementById('profileList');
+  try {
+    const { profiles, active } = await sendBackgroundMessage({ action: 'getProfiles' });
+    container.innerHTML = '';
+    for (const name of profiles) {
+      const row = document.createElement('div');
+      row.className = 'profile-row';
+      
+      const label = document.createElement('span');
+      label.className = 'profile-name';
+      label.textContent = name === active ? `${name} (active)` : name;
+      row.appendChild(label);
+      
+      if (name !== active) {
+        const switchBtn = document.createElement('button');
+        switchBtn.type = 'button';
+        switchBtn.className = 'btn btn-grey';
+        switchBtn.textContent = 'Switch';
+        switchBtn.addEventListener('click', () => switchToProfile(name));
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'btn btn-grey';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => removeProfile(name));
+        
+        row.append(switchBtn, deleteBtn);
+      }
+      container.appendChild(row);
     }
+  } catch (error) {
+    console.error('Error loading profiles:', error);
+    container.textContent = 'Profiles could not be loaded';
+  }
+}
+
+// Switch to another profile and show its settings
+async function switchToProfile(name) {
+  try {
+    await sendBackgroundMessage({ action: 'switchProfile', name });
+    await loadSettings();
+    await loadProfileList();
+    showStatus(`Switched to profile "${name}"`, 'success');
+  } catch (error) {
+    console.error('Error switching profile:', error);
+    showStatus(`Failed to switch profile: ${error.message}`, 'error');
+  }
+}
+
+// Ask for a profile name; returns null when cancelled or when the user
+// declines to overwrite an existing profile
+async function promptProfileName(suggestion = '') {
+  const name = (prompt('Profile name:', suggestion) || '').trim();
+  if (!name) return null;
+  const { profiles } = await sendBackgroundMessage({ action: 'getProfiles' });
+  if (profiles.includes(name) && !confirm(`Replace the settings of profile "${name}"?`)) {
+    return null;
+  }
+  return name;
+}
+
+// Create a profile from the current settings and switch to it
+async function createProfile() {
+  try {
+    const name = await promptProfileName();
+    if (!name) return;
+    await sendBackgroundMessage({ action: 'saveProfile', name });
+    await switchToProfile(name);
+  } catch (error) {
+    console.error('Error creating profile:', error);
+    showStatus(`Failed to create profile: ${error.message}`, 'error');
+  }
+}
+
+// Delete an inactive profile
+async function removeProfile(name) {
+  if (!confirm(`Delete profile "${name}"?`)) return;
+  try {
+    await sendBackgroundMessage({ action: 'deleteProfile', name });
+    await loadProfileList();
+    showStatus(`Profile "${name}" deleted`, 'success');
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    showStatus(`Failed to delete profile: ${error.message}`, 'error');
+  }
+}
+
+// Download the active profile's settings as a JSON file
+async function exportSettings() {
+  try {
+    const settings = await readSettings();
+    const { active } = await sendBackgroundMessage({ action: 'getProfiles' });
+    const content = JSON.stringify(buildSettingsExport(settings, active), null, 2);
+    const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `tabs-backup-settings-${active.replace(/[^\w-]+/g, '-')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 100);
+  } catch (error) {
+    console.error('Error exporting settings:', error);
+    showStatus(`Failed to export settings: ${error.message}`, 'error');
+  }
+}
+
+// Read a settings file and show what importing it would change
+async function handleSettingsImportFile(file) {
+  try {
+    pendingSettingsImport = parseSettingsImport(await file.text());
+    const changes = diffSettings(await readSettings(), pendingSettingsImport.settings);
     
-    // Create alarm for automatic backup (fires every day at the set time)
-    await browser.alarms.create('automaticBackup', {
-      when: nextBackup.getTime(),
-      periodInMinutes: 24 * 60 // Every day
-    });
-    console.log(`Automatic backup scheduled for ${nextBackup.toLocaleString()} (will check selected days)`);
+    const tbody = document.getElementById('importSettingsDiff');
+    tbody.innerHTML = '';
+    for (const change of changes) {
+      const row = document.createElement('tr');
+      for (const text of [change.label, change.from, change.to]) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+      tbody.appendChild(row);
+    }
     
+    const from = pendingSettingsImport.profileName ? ` (profile "${pendingSettingsImport.profileName}")` : '';
+    let summary = changes.length === 0
+      ? `${file.name}${from} has the same settings as the active profile.`
+      : `${file.name}${from} changes ${changes.length} setting${changes.length === 1 ? '' : 's'}:`;
+    if (pendingSettingsImport.ignored.length > 0) {
+      summary += ` Unknown settings are ignored: ${pendingSettingsImport.ignored.join(', ')}.`;
+    }
+    document.getElementById('importSettingsSummary').textContent = summary;
+    document.getElementById('importSettingsPreview').style.display = 'block';
+  } catch (error) {
+    console.error('Error reading settings file:', error);
+    showStatus(`Cannot import ${file.name}: ${error.message}`, 'error');
+    closeSettingsImport();
+  }
+}
+
+// Apply the previewed settings to the active profile
+async function applySettingsImport() {
+  if (!pendingSettingsImport) return;
+  try {
+    await sendBackgroundMessage({ action: 'updateSettings', settings: pendingSettingsImport.settings });
+    closeSettingsImport();
+    await loadSettings();
+    showStatus('Imported settings applied', 'success');
+  } catch (error) {
+    console.error('Error applying imported settings:', error);
+    showStatus(`Failed to import settings: ${error.message}`, 'error');
+  }
+}
+
+// Save the previewed settings as a new profile
+async function saveSettingsImportAsProfile() {
+  if (!pendingSettingsImport) return;
+  try {
+    const name = await promptProfileName(pendingSettingsImport.profileName || '');
+    if (!name) return;
+    await sendBackgroundMessage({ action: 'saveProfile', name, settings: pendingSettingsImport.settings });
+    closeSettingsImport();
+    await loadSettings();
+    await loadProfileList();
+    showStatus(`Imported settings saved as profile "${name}"`, 'success');
   } catch (error) {
-    console.error('Error scheduling automatic backup:', error);
-    throw error;
+    console.error('Error saving imported settings:', error);
+    showStatus(`Failed to import settings: ${error.message}`, 'error');
   }
 }
 
-// Cancel automatic backup alarm
-async function cancelAutomaticBackup() {
+// Hide the import preview and forget the file
+function closeSettingsImport() {
+  pendingSettingsImport = null;
+  document.getElementById('importSettingsPreview').style.display = 'none';
+  document.getElementById('importSettingsFile').value = '';
+}
+
+// Show how much storage the page captures use
+async function loadCaptureUsage() {
+  const usage = document.getElementById('captureUsage');
   try {
-    await browser.alarms.clear('automaticBackup');
-    console.log('Automatic backup cancelled');
+    const captures = await listCaptures();
+    const totalMB = captures.reduce((sum, capture) => sum + capture.size, 0) / (1024 * 1024);
+    usage.textContent = `Currently stored: ${captures.length} page${captures.length === 1 ? '' : 's'}, ${totalMB.toFixed(1)} MB`;
   } catch (error) {
-    console.error('Error cancelling automatic backup:', error);
-    // Don't throw error here as it's not critical
+    console.error('Error reading page capture usage:', error);
+    usage.textContent = '';
   }
 }
 
+// Parse a retention count input, falling back to the default when empty
+function parseRetention(id) {
+  const value = parseInt(document.getElementById(id).value);
+  return isNaN(value) ? DEFAULT_SETTINGS[id] : value;
+}
+
 // Show status message to user
 function showStatus(message, type = 'info') {
   const statusElement = document.getElementById('statusMessage');
@@ -203,15 +811,51 @@ function validateInput(input) {
 document.addEventListener('DOMContentLoaded', () => {
   // Load current settings
   loadSettings();
+  loadProfileList();
+  loadShortcuts();
+  loadCaptureUsage();
   
   // Add event listeners
   document.getElementById('saveBtn').addEventListener('click', saveSettings);
+  document.getElementById('addRuleBtn').addEventListener('click', () => addRuleRow());
+  document.getElementById('ruleTestBtn').addEventListener('click', testRuleUrl);
+  
+  // Page capture needs access to the capture domains
+  document.getElementById('captureEnabled').addEventListener('change', requestCapturePermission);
+  document.getElementById('captureDomains').addEventListener('change', requestCapturePermission);
+  
+  // Backup schedules editor and the preview of the next runs
+  document.getElementById('addScheduleBtn').addEventListener('click', () => {
+    addScheduleCard();
+    updateSchedulePreview();
+  });
+  document.getElementById('backupSchedules').addEventListener('input', updateSchedulePreview);
+  document.getElementById('backupSchedules').addEventListener('change', updateSchedulePreview);
+  document.getElementById('autoBackupEnabled').addEventListener('change', updateSchedulePreview);
+  
+  // Profiles and settings import/export
+  document.getElementById('newProfileBtn').addEventListener('click', createProfile);
+  document.getElementById('exportSettingsBtn').addEventListener('click', exportSettings);
+  document.getElementById('importSettingsBtn').addEventListener('click', () => {
+    document.getElementById('importSettingsFile').click();
+  });
+  document.getElementById('importSettingsFile').addEventListener('change', e => {
+    if (e.target.files.length > 0) {
+      handleSettingsImportFile(e.target.files[0]);
+    }
+  });
+  document.getElementById('applyImportBtn').addEventListener('click', applySettingsImport);
+  document.getElementById('importAsProfileBtn').addEventListener('click', saveSettingsImportAsProfile);
+  document.getElementById('cancelImportBtn').addEventListener('click', closeSettingsImport);
   document.getElementById('resetBtn').addEventListener('click', async () => {
     const resetBtn = document.getElementById('resetBtn');
     resetBtn.disabled = true;
     resetBtn.textContent = 'Resetting...';
     try {
-      await browser.storage.local.set({ settings: DEFAULT_SETTINGS });
+      const response = await browser.runtime.sendMessage({ action: 'updateSettings', settings: DEFAULT_SETTINGS });
+      if (response && response.error) {
+        throw new Error(response.error);
+      }
       showStatus('Settings reset to defaults. Reloading...', 'success');
       setTimeout(() => {
         window.location.reload();
@@ -230,17 +874,6 @@ document.addEventListener('DOMContentLoaded', () => {
     input.addEventListener('blur', () => validateInput(input));
   });
   
-  // Add validation for time input
-  const timeInput = document.getElementById('backupTime');
-  timeInput.addEventListener('change', () => {
-    const time = timeInput.value;
-    if (time && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
-      timeInput.style.borderColor = '#dc3545';
-    } else {
-      timeInput.style.borderColor = '';
-    }
-  });
-  
   // Show current settings info
   console.log('Options page initialized');
 }); 
\ No newline at end of file
@@ -5,16 +5,20 @@
 //   - Displaying current tab count and backup status
 //   - Triggering manual backups
 //   - Showing automatic backup schedule information
-//   - Navigation to settings and tab log pages
+//   - Warning when the last scheduled backup failed
+//   - Switching between settings profiles
+//   - Navigation to settings, tab log and backup history pages
 // ============================================================================
 
 // Current tab count and backup status
 let currentTabCount = 0;
 let backupStatus = {
   tabCount: 0,
+  retainedBackups: 0,
   lastBackup: null,
   autoBackupEnabled: false,
-  nextBackup: null
+  nextBackup: null,
+  failedScheduledRun: null
 };
 
 // Initialize the popup when it opens
@@ -22,6 +26,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   try {
     // Load current status from background script
     await loadBackupStatus();
+    await loadProfiles();
     
     // Set up event listeners for buttons
     setupEventListeners();
@@ -40,17 +45,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 async function loadBackupStatus() {
   try {
     // Get backup status
-    const statusResponse = await browser.runtime.sendMessage({ action: 'getBackupStatus' });
-    if (statusResponse.error) {
-      throw new Error(statusResponse.error);
-    }
-    backupStatus = statusResponse;
+    backupStatus = await sendBackgroundMessage({ action: 'getBackupStatus' });
     
     // Get current tab count
-    const countResponse = await browser.runtime.sendMessage({ action: 'getTabCount' });
-    if (countResponse.error) {
-      throw new Error(countResponse.error);
-    }
+    const countResponse = await sendBackgroundMessage({ action: 'getTabCount' });
     currentTabCount = countResponse.count;
     
     console.log('Backup status loaded:', backupStatus);
@@ -79,6 +77,57 @@ function setupEventListeners() {
   if (tabLogBtn) {
     tabLogBtn.addEventListener('click', openTabLog);
   }
+  
+  // Backup history button and the failed backup warning
+  const historyBtn = document.getElementById('historyBtn');
+  if (historyBtn) {
+    historyBtn.addEventListener('click', openHistory);
+  }
+  const backupWarning = document.getElementById('backupWarning');
+  if (backupWarning) {
+    backupWarning.addEventListener('click', openHistory);
+  }
+  
+  // Profile switcher
+  const profileSelect = document.getElementById('profileSelect');
+  if (profileSelect) {
+    profileSelect.addEventListener('change', () => switchProfile(profileSelect.value));
+  }
+}
+
+// Fill the profile switcher (shown only when there is more than one profile)
+async function loadProfiles() {
+  try {
+    const response = await sendBackgroundMessage({ action: 'getProfiles' });
+    const select = document.getElementById('profileSelect');
+    select.innerHTML = '';
+    for (const name of response.profiles) {
+      select.appendChild(new Option(name, name));
+    }
+    select.value = response.active;
+    document.getElementById('profileRow').style.display = response.profiles.length > 1 ? 'flex' : 'none';
+  } catch (error) {
+    console.error('Error loading profiles:', error);
+  }
+}
+
+// Switch to another settings profile
+async function switchProfile(name) {
+  const select = document.getElementById('profileSelect');
+  select.disabled = true;
+  try {
+    await sendBackgroundMessage({ action: 'switchProfile', name });
+    showSuccess(`Switched to profile "${name}"`);
+    // The schedule may differ between profiles
+    await loadBackupStatus();
+    updateDisplay();
+  } catch (error) {
+    console.error('Error switching profile:', error);
+    showError(`Failed to switch profile: ${error.message}`);
+    await loadProfiles();
+  } finally {
+    select.disabled = false;
+  }
 }
 
 // Perform manual backup
@@ -90,25 +139,22 @@ async function performManualBackup() {
     backupBtn.disabled = true;
     backupBtn.textContent = 'Backing up...';
     // Send backup request to background script
-    const response = await browser.runtime.sendMessage({ action: 'performBackup' });
-    if (!response || typeof response !== 'object') {
-      // If the table has tabs, treat as silent success
-      if (currentTabCount && currentTabCount > 0) {
-        console.log('Backup: No response, but table updated. Treating as silent success.');
-      } else {
-        showError('No tabs to back up.');
-      }
-    } else if (response.success) {
+    const response = await sendBackgroundMessage({ action: 'performBackup' });
+    if (response.success) {
       if (response.count === 0) {
         showSuccess(response.message || 'No tabs to back up.');
       } else {
-        showSuccess(`Backup completed! ${response.count} tabs backed up.`);
+        const targets = [
+          response.file && response.file.path,
+          response.bookmarks && `bookmarks folder "${response.bookmarks.folder}"`
+        ].filter(Boolean);
+        const location = targets.length > 0 ? ` to ${targets.join(' and ')}` : '';
+        showSuccess(`Backup completed! ${response.count} tabs backed up${location}.`);
       }
       // Reload status to update counts
       await loadBackupStatus();
       updateDisplay();
-    } else if (response.success === false) {
-      // Only show error if success: false
+    } else {
       showError(response.message || 'Backup failed');
     }
   } catch (error) {
@@ -133,6 +179,13 @@ function openTabLog() {
   });
 }
 
+// Open backup history page
+function openHistory() {
+  browser.tabs.create({
+    url: browser.runtime.getURL('history.html')
+  });
+}
+
 // Update the popup display with current information
 function updateDisplay() {
   // Update tab count
@@ -141,6 +194,12 @@ function updateDisplay() {
     tabCountElement.textContent = currentTabCount;
   }
   
+  // Update number of retained backup files
+  const retainedBackupsElement = document.getElementById('retainedBackups');
+  if (retainedBackupsElement) {
+    retainedBackupsElement.textContent = backupStatus.retainedBackups || 0;
+  }
+  
   // Update automatic backup status
   const autoBackupElement = document.getElementById('autoBackupStatus');
   if (autoBackupElement) {
@@ -175,6 +234,18 @@ function updateDisplay() {
     }
   }
   
+  // Warn when the last scheduled backup failed
+  const backupWarningElement = document.getElementById('backupWarning');
+  if (backupWarningElement) {
+    const failed = backupStatus.failedScheduledRun;
+    if (failed) {
+      backupWarningElement.textContent = `Last scheduled backup failed (${formatDate(new Date(failed.startedAt))}): ${failed.error}`;
+      backupWarningElement.style.display = 'block';
+    } else {
+      backupWarningElement.style.display = 'none';
+    }
+  }
+  
   // Show/hide automatic backup info based on status
   const autoBackupInfo = document.getElementById('autoBackupInfo');
   if (autoBackupInfo) {
@@ -0,0 +1,161 @@
+// ============================================================================
+// SEARCH QUERY LANGUAGE for Backup Long-Open Tabs Extension
+//
+// Parses the Tab Log search box into a row filter. A query is a list of terms
+// separated by spaces; a row must match every term:
+//   - text or "quoted phrase": title, domain, URL or note contains the text
+//   - domain:github.com       domain is github.com or one of its subdomains
+//   - age:>30                 age in days compared with >, >=, <, <= or = (default)
+//   - opened:<2026-01-01      opened date (YYYY-MM-DD) compared the same way
+//   - status:logged|open      logged, open or archived ('|' separates alternatives)
+//   - url:~regex / url:text   URL matches the regular expression / contains the text
+//   - title:text, note:text   title / note contains the text
+//   - tag:research            tab has the tag
+// Any term can be negated with a leading '-', e.g. -domain:youtube.com.
+// Field values may be quoted: title:"release notes". Words with an unknown
+// field name (e.g. pasted URLs) are searched as plain text.
+// Rows are table rows of the Tab Log ({ title, url, domain, note, tags,
+// ageInDays, createdAt, logged, open, archived }).
+// ============================================================================
+
+// Split a query into terms { negated, field, value } (field is null for text)
+// Throws on an unterminated quote
+function tokenizeQuery(query) {
+  const terms = [];
+  let i = 0;
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i++;
+      continue;
+    }
+    let negated = false;
+    if (query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      negated = true;
+      i++;
+    }
+    // Optional field name followed by ':'
+    let field = null;
+    const fieldMatch = /^([a-z]+):/i.exec(query.slice(i));
+    if (fieldMatch && Object.prototype.hasOwnProperty.call(QUERY_FIELDS, fieldMatch[1].toLowerCase())) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+    // Value: a quoted phrase or everything up to the next space
+    let value;
+    if (query[i] === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end < 0) {
+        throw new Error('Missing closing quote');
+      }
+      value = query.slice(i + 1, end);
+      i = end + 1;
+    } else {
+      const start = i;
+      while (i < query.length && !/\s/.test(query[i])) i++;
+      value = query.slice(start, i);
+    }
+    if (field && !value) {
+      throw new Error(`Missing value after "${field}:"`);
+    }
+    terms.push({ negated, field, value });
+  }
+  return terms;
+}
+
+// Split a comparison value like '>=30' into { operator, operand }
+function parseComparison(value) {
+  const match = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+  return { operator: match[1] || '=', operand: match[2] };
+}
+
+// Compare a value with a range [low, high) according to the operator
+function compareRange(value, operator, low, high) {
+  switch (operator) {
+    case '>': return value >= high;
+    case '>=': return value >= low;
+    case '<': return value < low;
+    case '<=': return value < high;
+    default: return value >= low && value < high;
+  }
+}
+
+// Field matchers: each takes the term value and returns a row predicate,
+// throwing an Error with a user-facing message for invalid values
+const QUERY_FIELDS = {
+  domain: value => {
+    const domains = value.toLowerCase().split('|').filter(domain => domain);
+    return row => {
+      const domain = (row.domain || '').toLowerCase();
+      return domains.some(d => domain === d || domain.endsWith('.' + d));
+    };
+  },
+  age: value => {
+    const { operator, operand } = parseComparison(value);
+    if (!/^\d+$/.test(operand)) {
+      throw new Error(`Invalid age "${value}": use a number of days, e.g. age:>30`);
+    }
+    const days = Number(operand);
+    return row => compareRange(row.ageInDays, operator, days, days + 1);
+  },
+  opened: value => {
+    const { operator, operand } = parseComparison(value);
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(operand);
+    const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    if (!date || date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) {
+      throw new Error(`Invalid date "${value}": use YYYY-MM-DD, e.g. opened:<2026-01-01`);
+    }
+    const nextDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    return row => compareRange(row.createdAt, operator, date.getTime(), nextDay.getTime());
+  },
+  status: value => {
+    const statuses = value.toLowerCase().split('|');
+    const checks = { logged: row => row.logged, open: row => row.open, archived: row => !!row.archived };
+    for (const status of statuses) {
+      if (!checks[status]) {
+        throw new Error(`Invalid status "${status}": use logged, open or archived`);
+      }
+    }
+    return row => statuses.some(status => checks[status](row));
+  },
+  url: value => {
+    if (value.startsWith('~')) {
+      // An invalid pattern throws a SyntaxError describing the problem
+      const regex = new RegExp(value.slice(1), 'i');
+      return row => regex.test(row.url || '');
+    }
+    const text = value.toLowerCase();
+    return row => (row.url || '').toLowerCase().includes(text);
+  },
+  title: value => {
+    const text = value.toLowerCase();
+    return row => (row.title || '').toLowerCase().includes(text);
+  },
+  note: value => {
+    const text = value.toLowerCase();
+    return row => (row.note || '').toLowerCase().includes(text);
+  },
+  tag: value => {
+    const tags = value.toLowerCase().split('|').filter(tag => tag);
+    return row => (row.tags || []).some(tag => tags.includes(tag.toLowerCase()));
+  }
+};
+
+// Plain text and phrases match title, domain, URL or note
+function textMatcher(value) {
+  const text = value.toLowerCase();
+  return row =>
+    (row.title || '').toLowerCase().includes(text) ||
+    (row.domain || '').toLowerCase().includes(text) ||
+    (row.url || '').toLowerCase().includes(text) ||
+    (row.note || '').toLowerCase().includes(text);
+}
+
+// Compile a query into a row predicate; throws an Error describing the
+// problem if the query is invalid
+function compileQuery(query) {
+  const predicates = tokenizeQuery(query).map(({ negated, field, value }) => {
+    const test = field ? QUERY_FIELDS[field](value) : textMatcher(value);
+    return negated ? row => !test(row) : test;
+  });
+  return row => predicates.every(test => test(row));
+}
@@ -0,0 +1,79 @@
+// ============================================================================
+// TRACKING RULES for Backup Long-Open Tabs Extension
+//
+// Include/exclude rules shared by the background script, the Tab Log dashboard
+// and the options page, so a URL is judged the same way everywhere.
+//
+// A rule is { pattern, type, action, minDays }:
+//   - type 'glob':  '*' matches any characters, '?' a single character.
+//                   Patterns without '/' match the hostname
+//                   (e.g. 'mail.google.com', '*.atlassian.net'), patterns
+//                   with '/' match hostname + path (e.g. 'github.com/*/issues/*')
+//   - type 'regex': regular expression tested against the full URL
+//   - action 'include' or 'exclude'
+//   - minDays: optional per-rule override of the minimum tab age (include only)
+// The first matching rule wins; URLs matching no rule use the defaults.
+// ============================================================================
+
+// Convert a glob pattern to an anchored, case-insensitive regular expression
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(c => c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[.+^${}()|[\]\\/]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Compile a single rule into a matcher; throws on an invalid pattern
+function compileRule(rule) {
+  const pattern = (rule.pattern || '').trim();
+  if (!pattern) {
+    throw new Error('Rule pattern must not be empty');
+  }
+  if (rule.type === 'regex') {
+    const regex = new RegExp(pattern, 'i');
+    return { rule, test: url => regex.test(url) };
+  }
+  const regex = globToRegExp(pattern);
+  const matchPath = pattern.includes('/');
+  return {
+    rule,
+    test: url => {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        return false;
+      }
+      return regex.test(matchPath ? parsed.hostname + parsed.pathname : parsed.hostname);
+    }
+  };
+}
+
+// Compile a rule list, skipping (and logging) invalid rules
+function compileRules(rules) {
+  const compiled = [];
+  (rules || []).forEach((rule, index) => {
+    try {
+      compiled.push({ ...compileRule(rule), index });
+    } catch (error) {
+      console.error(`Ignoring invalid tracking rule "${rule.pattern}":`, error);
+    }
+  });
+  return compiled;
+}
+
+// Evaluate compiled rules for a URL
+// Returns { excluded, minDays, rule, index } where rule/index identify the
+// matching rule and its position in the rule list (null/-1 if none matched)
+function evaluateRules(url, compiledRules, defaultMinDays) {
+  for (const { rule, test, index } of compiledRules) {
+    if (!test(url)) continue;
+    if (rule.action === 'exclude') {
+      return { excluded: true, minDays: defaultMinDays, rule, index };
+    }
+    const hasOverride = rule.minDays !== null && rule.minDays !== undefined && rule.minDays !== '';
+    return { excluded: false, minDays: hasOverride ? Number(rule.minDays) : defaultMinDays, rule, index };
+  }
+  return { excluded: false, minDays: defaultMinDays, rule: null, index: -1 };
+}
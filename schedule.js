@@ -0,0 +1,168 @@
+// ============================================================================
+// BACKUP SCHEDULES for Backup Long-Open Tabs Extension
+//
+// Named automatic backup schedules shared by the background script (which
+// runs them) and the options page (which edits them and previews the next
+// runs). A schedule is:
+//   { id, name, enabled, type, minute, everyHours, days, dayOfMonth, times,
+//     format, destination }
+// with type
+//   - 'hourly':   every hour at `minute` past the hour
+//   - 'interval': every `everyHours` hours each day, starting at times[0]
+//   - 'weekly':   on the `days` of the week at each of the `times`
+//   - 'monthly':  on `dayOfMonth` (the last day in shorter months) at `times`
+// Each schedule writes its own file `format` to its own `destination`
+// ('file', 'bookmarks' or 'both'). Times are local 'HH:MM'.
+// ============================================================================
+
+// Schedule types and their labels
+const SCHEDULE_TYPES = {
+  hourly: 'Every hour',
+  interval: 'Every N hours',
+  weekly: 'On weekdays at set times',
+  monthly: 'Monthly on a day'
+};
+
+// Where a scheduled backup is written
+const SCHEDULE_DESTINATIONS = {
+  file: 'Backup file',
+  bookmarks: 'Bookmarks folder',
+  both: 'File and bookmarks'
+};
+
+// Day names in Date.getDay() order
+const SCHEDULE_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Create a schedule with all fields set (defaults: Mondays at 05:00)
+function createSchedule(overrides = {}) {
+  return {
+    id: `schedule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: 'Backup',
+    enabled: true,
+    type: 'weekly',
+    minute: 0,
+    everyHours: 6,
+    days: ['Mon'],
+    dayOfMonth: 1,
+    times: ['05:00'],
+    format: 'json',
+    destination: 'file',
+    ...overrides
+  };
+}
+
+// Convert 'HH:MM' to minutes after midnight
+function parseTimeOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Check a schedule; returns an error message or null
+function checkSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') return 'Schedule must be an object';
+  const name = typeof schedule.name === 'string' && schedule.name.trim() ? schedule.name.trim() : null;
+  if (!name) return 'Schedule name must not be empty';
+  const prefix = `Schedule "${name}"`;
+  if (typeof schedule.id !== 'string' || !schedule.id) return `${prefix} has no ID`;
+  if (typeof schedule.enabled !== 'boolean') return `${prefix}: enabled must be on or off`;
+  if (!SCHEDULE_TYPES[schedule.type]) return `${prefix}: unknown type "${schedule.type}"`;
+  if (!SCHEDULE_DESTINATIONS[schedule.destination]) return `${prefix}: unknown destination "${schedule.destination}"`;
+  const validTimes = Array.isArray(schedule.times) &&
+    schedule.times.every(time => typeof time === 'string' && /^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(time));
+  switch (schedule.type) {
+    case 'hourly':
+      if (!Number.isInteger(schedule.minute) || schedule.minute < 0 || schedule.minute > 59) {
+        return `${prefix}: minute must be between 0 and 59`;
+      }
+      break;
+    case 'interval':
+      if (!Number.isInteger(schedule.everyHours) || schedule.everyHours < 1 || schedule.everyHours > 23) {
+        return `${prefix}: hours between runs must be between 1 and 23`;
+      }
+      if (!validTimes || schedule.times.length === 0) return `${prefix}: set a start time (HH:MM)`;
+      break;
+    case 'weekly':
+      if (!Array.isArray(schedule.days) || schedule.days.length === 0 || !schedule.days.every(day => SCHEDULE_DAYS.includes(day))) {
+        return `${prefix}: choose at least one day`;
+      }
+      if (!validTimes || schedule.times.length === 0) return `${prefix}: set at least one time (HH:MM)`;
+      break;
+    case 'monthly':
+      if (!Number.isInteger(schedule.dayOfMonth) || schedule.dayOfMonth < 1 || schedule.dayOfMonth > 31) {
+        return `${prefix}: day of the month must be between 1 and 31`;
+      }
+      if (!validTimes || schedule.times.length === 0) return `${prefix}: set at least one time (HH:MM)`;
+      break;
+  }
+  return null;
+}
+
+// Run times of a schedule on the given day, in minutes after midnight (sorted)
+function scheduleTimesOfDay(schedule, day) {
+  switch (schedule.type) {
+    case 'hourly':
+      return Array.from({ length: 24 }, (_, hour) => hour * 60 + schedule.minute);
+    case 'interval': {
+      const times = [];
+      for (let minutes = parseTimeOfDay(schedule.times[0]); minutes < 24 * 60; minutes += schedule.everyHours * 60) {
+        times.push(minutes);
+      }
+      return times;
+    }
+    case 'weekly':
+      if (!schedule.days.includes(SCHEDULE_DAYS[day.getDay()])) return [];
+      break;
+    case 'monthly': {
+      const lastDay = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+      if (day.getDate() !== Math.min(schedule.dayOfMonth, lastDay)) return [];
+      break;
+    }
+  }
+  return schedule.times.map(parseTimeOfDay).sort((a, b) => a - b);
+}
+
+// First run time of a schedule strictly after the given time (ms), or null
+function nextRunAfter(schedule, after) {
+  const start = new Date(after);
+  // A year and a bit covers every monthly day and every weekday
+  for (let offset = 0; offset <= 400; offset++) {
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+    for (const minutes of scheduleTimesOfDay(schedule, day)) {
+      const run = new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(minutes / 60), minutes % 60).getTime();
+      if (run > after) return run;
+    }
+  }
+  return null;
+}
+
+// The next `count` runs of the enabled schedules after the given time:
+// [{ time, schedule }] in chronological order
+function upcomingRuns(schedules, after, count) {
+  const runs = [];
+  for (const schedule of schedules) {
+    if (!schedule.enabled || checkSchedule(schedule)) continue;
+    let time = after;
+    for (let i = 0; i < count; i++) {
+      time = nextRunAfter(schedule, time);
+      if (time === null) break;
+      runs.push({ time, schedule });
+    }
+  }
+  return runs.sort((a, b) => a.time - b.time).slice(0, count);
+}
+
+// Describe a schedule in words, e.g. "Mon, Fri at 05:00"
+function describeSchedule(schedule) {
+  switch (schedule.type) {
+    case 'hourly':
+      return `Every hour at :${String(schedule.minute).padStart(2, '0')}`;
+    case 'interval':
+      return `Every ${schedule.everyHours} hours from ${schedule.times[0]}`;
+    case 'weekly':
+      return `${schedule.days.join(', ')} at ${schedule.times.join(', ')}`;
+    case 'monthly':
+      return `Day ${schedule.dayOfMonth} of each month at ${schedule.times.join(', ')}`;
+    default:
+      return schedule.type;
+  }
+}
@@ -0,0 +1,9 @@
+// ============================================================================
+// SERVICE WORKER for the Chrome (Manifest V3) build
+//
+// Chrome runs the background as a service worker, which cannot list several
+// scripts in the manifest. Load the same scripts, in the same order, as the
+// Firefox background page (manifest.json).
+// ============================================================================
+
+importScripts('compat.js', 'database.js', 'formats.js', 'rules.js', 'schedule.js', 'settings.js', 'background.js');
@@ -0,0 +1,361 @@
+// ============================================================================
+// SETTINGS SCHEMA for Backup Long-Open Tabs Extension
+//
+// The single definition of every setting, shared by the background script,
+// the options page and the Tab Log dashboard. Each setting declares its type,
+// its allowed range or values and its default:
+//   - 'boolean'
+//   - 'integer'    whole number between min and max
+//   - 'string'     optional check() returning an error message
+//   - 'enum'       one of values
+//   - 'time'       'HH:MM' (24-hour)
+//   - 'stringList' array of strings (each one of values, if given)
+//   - 'rules'      tracking rules (see rules.js)
+//   - 'schedules'  automatic backup schedules (see schedule.js)
+// Stored settings carry a settingsVersion. Older objects are upgraded by the
+// migrations below, then every value is checked against the schema: invalid
+// or missing values fall back to their default, so a bad value can never
+// reach the alarm scheduler.
+// Settings can be exported to and imported from JSON files, and kept as named
+// profiles: the active profile's settings are stored as `settings`, the others
+// in `profiles`, and its name in `activeProfile` (all in storage.local).
+// Requires rules.js and schedule.js.
+// ============================================================================
+
+// Version of the stored settings object
+const SETTINGS_VERSION = 2;
+
+const SETTINGS_SCHEMA = {
+  // Basic settings
+  minDays: { type: 'integer', min: 1, max: 365, default: 7, label: 'Minimum days' }, // Minimum days before a tab is considered "old"
+  ageBasis: { type: 'enum', values: ['created', 'idle'], default: 'created', label: 'Tab age basis' }, // Measure age from first seen ('created') or last viewed ('idle')
+  maxTabs: { type: 'integer', min: 1, max: 1000, default: 1000, label: 'Maximum tabs' }, // Maximum number of tabs to backup
+  trackingRules: { type: 'rules', default: [], label: 'Tracking rules' }, // Include/exclude rules by URL pattern (see rules.js)
+
+  // Automatic backup settings
+  autoBackupEnabled: { type: 'boolean', default: false, label: 'Automatic backups' }, // Whether automatic backups are enabled
+  backupSchedules: { type: 'schedules', default: [createSchedule({ id: 'default', name: 'Weekly backup' })], label: 'Backup schedules' }, // Named schedules, each with its own format and destination
+
+  // Backup retention settings (grandfather-father-son)
+  retentionEnabled: { type: 'boolean', default: false, label: 'Delete old backup files' }, // Whether superseded backup files are deleted
+  retainLast: { type: 'integer', min: 0, max: 365, default: 10, label: 'Kept last backups' }, // Number of most recent backups to keep
+  retainDaily: { type: 'integer', min: 0, max: 365, default: 7, label: 'Kept daily backups' }, // Number of days to keep one backup for
+  retainWeekly: { type: 'integer', min: 0, max: 365, default: 4, label: 'Kept weekly backups' }, // Number of weeks to keep one backup for
+  retainMonthly: { type: 'integer', min: 0, max: 365, default: 6, label: 'Kept monthly backups' }, // Number of months to keep one backup for
+
+  // Backup destinations
+  backupToFile: { type: 'boolean', default: true, label: 'Write backup files' }, // Write a backup file to the Downloads folder
+  backupToBookmarks: { type: 'boolean', default: false, label: 'Save to bookmarks' }, // Save backed up tabs into a bookmarks folder
+  bookmarkParentId: { type: 'string', default: USING_CHROME_COMPAT ? '2' : 'unfiled_____', check: checkNotEmpty, label: 'Bookmarks location' }, // Parent of the backup bookmarks folder (default: Other Bookmarks, whose ID differs per browser)
+  bookmarkFolderName: { type: 'string', default: 'Long-Open Tabs Backup', check: checkNotEmpty, label: 'Bookmarks folder name' }, // Name of the backup bookmarks folder
+  bookmarkMode: { type: 'enum', values: ['dated', 'mirror'], default: 'dated', label: 'Bookmarks mode' }, // 'dated' (one subfolder per run) or 'mirror' (single synced folder)
+
+  // Backup file settings
+  backupFormat: { type: 'enum', values: ['json', 'csv', 'html', 'onetab', 'markdown', 'opml'], default: 'json', label: 'File format' }, // Backup file format (see EXPORT_FORMATS in formats.js)
+  backupFolder: { type: 'string', default: 'TabBackups', check: checkRelativeFolder, label: 'Backup folder' }, // Subfolder of the Downloads directory for backup files
+  backupFileName: { type: 'string', default: 'tabs-backup-{timestamp}', check: checkNotEmpty, label: 'File name' }, // File name template (extension is added automatically)
+
+  // Archive settings
+  archiveEnabled: { type: 'boolean', default: false, label: 'Archive very old tabs' }, // Close tabs older than archiveDays once they are backed up
+  archiveDays: { type: 'integer', min: 1, max: 3650, default: 30, label: 'Archive days' }, // Minimum age in days before a backed up tab is archived
+  archiveUndoSeconds: { type: 'integer', min: 10, max: 600, default: 60, label: 'Undo window (seconds)' }, // Seconds to undo an archive before tabs are closed
+
+  // Page capture
+  captureEnabled: { type: 'boolean', default: false, label: 'Save page copies' }, // Save a copy of backed up pages (opt-in per domain)
+  captureMode: { type: 'enum', values: ['text', 'html'], default: 'text', label: 'Page capture mode' }, // 'text' (readable text) or 'html' (single-file snapshot)
+  captureDomains: { type: 'stringList', default: [], label: 'Page capture domains' }, // Domain globs to capture (e.g. 'example.com', '*.medium.com', '*')
+  captureMaxKB: { type: 'integer', min: 16, max: 51200, default: 2048, label: 'Page size cap (KB)' }, // Size cap per page in KB
+  captureStorageMB: { type: 'integer', min: 1, max: 10240, default: 200, label: 'Page capture storage (MB)' }, // Total storage for captures in MB (oldest are removed first)
+
+  // Tab count notifications
+  alertsEnabled: { type: 'boolean', default: false, label: 'Tab count notifications' }, // Notify when the tab count thresholds below are crossed
+  alertOpenTabs: { type: 'integer', min: 0, max: 10000, default: 100, label: 'Open tabs threshold' }, // Open tabs threshold (0 = off)
+  alertOldTabs: { type: 'integer', min: 0, max: 10000, default: 40, label: 'Long-open tabs threshold' }, // Long-open tabs threshold (0 = off)
+  alertOldDays: { type: 'integer', min: 1, max: 3650, default: 14, label: 'Long-open tab age' }, // Age in days from which a tab counts as long-open
+  quietHoursEnabled: { type: 'boolean', default: false, label: 'Quiet hours' }, // Hold back notifications during quiet hours
+  quietHoursStart: { type: 'time', default: '22:00', label: 'Quiet hours start' }, // Quiet hours start (HH:MM)
+  quietHoursEnd: { type: 'time', default: '08:00', label: 'Quiet hours end' }, // Quiet hours end (HH:MM, may be on the next day)
+
+  // Toolbar badge
+  badgeEnabled: { type: 'boolean', default: true, label: 'Toolbar badge' }, // Show the number of tabs over minDays on the toolbar button
+  badgeYellowAt: { type: 'integer', min: 1, max: 10000, default: 10, label: 'Badge yellow threshold' }, // Badge turns yellow at this many long-open tabs
+  badgeRedAt: { type: 'integer', min: 2, max: 10000, default: 25, label: 'Badge red threshold' }, // Badge turns red at this many long-open tabs
+  badgePerWindow: { type: 'boolean', default: false, label: 'Badge count per window' }, // Count the tabs of each window separately
+
+  // Duplicate detection (Tab Log dashboard)
+  duplicateIgnoredParams: { type: 'stringList', default: ['utm_*', 'fbclid', 'gclid'], label: 'Ignored query parameters' }, // Query parameters ignored when comparing URLs
+  duplicateIgnoreFragment: { type: 'boolean', default: true, label: 'Ignore URL fragments' }, // Ignore the '#fragment' when comparing URLs
+  duplicateIgnoreTrailingSlash: { type: 'boolean', default: true, label: 'Ignore trailing slashes' }, // Treat '/path/' and '/path' as the same page
+
+  // Advanced settings
+  excludePrivate: { type: 'boolean', default: true, label: 'Exclude private browsing tabs' }, // Exclude private browsing tabs
+  excludePinned: { type: 'boolean', default: false, label: 'Exclude pinned tabs' }, // Exclude pinned tabs
+  maxTitleLength: { type: 'integer', min: 10, max: 500, default: 100, label: 'Maximum title length' }, // Maximum length for tab titles
+
+  // Appearance
+  theme: { type: 'enum', values: ['auto', 'light', 'dark'], default: 'auto', label: 'Theme' } // Theme setting (auto/light/dark)
+};
+
+// Rules that involve several settings; each returns an error message or null
+const SETTINGS_CHECKS = [
+  settings => settings.archiveDays < settings.minDays
+    ? 'Archive days must be at least the minimum days before backup' : null,
+  settings => settings.captureEnabled && settings.captureDomains.length === 0
+    ? 'Add at least one domain to capture pages from' : null,
+  settings => settings.quietHoursEnabled && settings.quietHoursStart === settings.quietHoursEnd
+    ? 'Quiet hours must start and end at different times' : null,
+  settings => settings.badgeRedAt <= settings.badgeYellowAt
+    ? 'Badge thresholds must be positive, with red above yellow' : null,
+  settings => !settings.backupToFile && !settings.backupToBookmarks
+    ? 'Choose at least one backup destination' : null,
+  settings => settings.retentionEnabled && settings.retainLast < 1
+    ? 'Keep at least the last backup when retention is enabled' : null,
+  settings => settings.autoBackupEnabled && !settings.backupSchedules.some(schedule => schedule.enabled)
+    ? 'Enable at least one schedule for automatic backups' : null
+];
+
+// Migrations of stored settings: migration N turns a version N-1 object into
+// version N (settings stored before versioning are version 0)
+const SETTINGS_MIGRATIONS = {
+  // backupInterval was never settable: backups run daily on the backupDays
+  1: settings => {
+    const { backupInterval, ...rest } = settings;
+    return rest;
+  },
+  // The single backupTime/backupDays schedule becomes the first named schedule;
+  // toleranceHours is gone (missed runs are caught up instead)
+  2: settings => {
+    const { backupTime, backupDays, toleranceHours, ...rest } = settings;
+    if (!rest.backupSchedules) {
+      const destination = rest.backupToBookmarks ? (rest.backupToFile === false ? 'bookmarks' : 'both') : 'file';
+      rest.backupSchedules = [createSchedule({
+        id: 'default',
+        name: 'Weekly backup',
+        days: backupDays || ['Mon'],
+        times: [backupTime || '05:00'],
+        format: rest.backupFormat || 'json',
+        destination
+      })];
+    }
+    return rest;
+  }
+};
+
+// Identifies settings files exported from the options page
+const SETTINGS_EXPORT_FORMAT = 'backup-long-open-tabs-settings';
+
+// Name of the profile in use before any other profile was created
+const DEFAULT_PROFILE_NAME = 'Default';
+
+// Default settings - these are used when no user settings exist
+const DEFAULT_SETTINGS = {
+  ...Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, field]) => [key, field.default])),
+  settingsVersion: SETTINGS_VERSION
+};
+
+// String checks used by the schema
+function checkNotEmpty(value) {
+  return value.trim() ? null : 'must not be empty';
+}
+
+function checkRelativeFolder(value) {
+  if (/^([a-zA-Z]:)?[\\/]/.test(value) || value.split(/[\\/]/).includes('..')) {
+    return 'must be a relative path inside the Downloads folder';
+  }
+  return null;
+}
+
+// Check one setting against the schema; returns an error message or null
+function checkSetting(key, value) {
+  const field = SETTINGS_SCHEMA[key];
+  const label = field.label;
+  switch (field.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${label} must be on or off`;
+    case 'integer':
+      if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        return `${label} must be between ${field.min} and ${field.max}`;
+      }
+      return null;
+    case 'string': {
+      if (typeof value !== 'string') return `${label} must be text`;
+      const problem = field.check ? field.check(value) : null;
+      return problem ? `${label} ${problem}` : null;
+    }
+    case 'enum':
+      return field.values.includes(value) ? null : `${label} must be one of: ${field.values.join(', ')}`;
+    case 'time':
+      return typeof value === 'string' && /^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(value)
+        ? null : `${label} must be a time (HH:MM)`;
+    case 'stringList':
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        return `${label} must be a list of text values`;
+      }
+      if (field.values) {
+        const unknown = value.find(item => !field.values.includes(item));
+        if (unknown !== undefined) return `${label}: unknown value "${unknown}"`;
+      }
+      return null;
+    case 'rules':
+      if (!Array.isArray(value)) return `${label} must be a list`;
+      for (let index = 0; index < value.length; index++) {
+        const rule = value[index];
+        try {
+          compileRule(rule);
+        } catch (error) {
+          return `Rule ${index + 1}: ${error.message}`;
+        }
+        if (rule.minDays !== null && rule.minDays !== undefined &&
+            (!Number.isInteger(rule.minDays) || rule.minDays < 0 || rule.minDays > 365)) {
+          return `Rule ${index + 1}: minimum days must be between 0 and 365`;
+        }
+      }
+      return null;
+    case 'schedules': {
+      if (!Array.isArray(value)) return `${label} must be a list`;
+      const ids = new Set();
+      for (const schedule of value) {
+        const problem = checkSchedule(schedule);
+        if (problem) return problem;
+        if (!SETTINGS_SCHEMA.backupFormat.values.includes(schedule.format)) {
+          return `Schedule "${schedule.name}": unknown file format "${schedule.format}"`;
+        }
+        if (ids.has(schedule.id)) return `Schedule "${schedule.name}" has a duplicate ID`;
+        ids.add(schedule.id);
+      }
+      return null;
+    }
+    default:
+      return `${label} has an unknown type`;
+  }
+}
+
+// Validate a complete settings object; returns a list of error messages
+function validateSettings(settings) {
+  const errors = [];
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    const error = checkSetting(key, settings[key]);
+    if (error) errors.push(error);
+  }
+  // Cross-setting rules only make sense once every value is valid
+  if (errors.length === 0) {
+    for (const check of SETTINGS_CHECKS) {
+      const error = check(settings);
+      if (error) errors.push(error);
+    }
+  }
+  return errors;
+}
+
+// Upgrade a stored settings object to the current version
+function migrateSettings(stored) {
+  let settings = { ...stored };
+  let version = Number.isInteger(settings.settingsVersion) ? settings.settingsVersion : 0;
+  while (version < SETTINGS_VERSION) {
+    version++;
+    if (SETTINGS_MIGRATIONS[version]) {
+      settings = SETTINGS_MIGRATIONS[version](settings);
+    }
+  }
+  settings.settingsVersion = version;
+  return settings;
+}
+
+// Turn any stored settings object into complete, valid settings: migrate it,
+// drop unknown keys and replace invalid or missing values with defaults
+function normalizeSettings(stored) {
+  const migrated = migrateSettings(stored && typeof stored === 'object' ? stored : {});
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    if (!(key in migrated)) continue;
+    const error = checkSetting(key, migrated[key]);
+    if (error) {
+      console.warn(`Using the default for invalid setting ${key}: ${error}`);
+    } else {
+      settings[key] = migrated[key];
+    }
+  }
+  return settings;
+}
+
+// Read the settings from storage (complete and valid)
+async function readSettings() {
+  const result = await browser.storage.local.get('settings');
+  return normalizeSettings(result.settings);
+}
+
+// Build the contents of a settings export file
+function buildSettingsExport(settings, profileName) {
+  return {
+    format: SETTINGS_EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    profile: profileName,
+    settings
+  };
+}
+
+// Read a settings export file (or a bare settings object) and return
+// { profileName, settings, ignored }: complete, migrated settings and the
+// unknown keys that were left out. Throws an Error if the settings are invalid.
+function parseSettingsImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  const stored = data && data.format === SETTINGS_EXPORT_FORMAT ? data.settings : data;
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    throw new Error('The file does not contain settings');
+  }
+  if (Number.isInteger(stored.settingsVersion) && stored.settingsVersion > SETTINGS_VERSION) {
+    throw new Error('The settings were exported by a newer version of the extension');
+  }
+  const migrated = migrateSettings(stored);
+  const settings = { ...DEFAULT_SETTINGS };
+  const ignored = [];
+  for (const [key, value] of Object.entries(migrated)) {
+    if (SETTINGS_SCHEMA[key]) {
+      settings[key] = value;
+    } else if (key !== 'settingsVersion') {
+      ignored.push(key);
+    }
+  }
+  const errors = validateSettings(settings);
+  if (errors.length > 0) {
+    throw new Error(`Invalid settings: ${errors.join('; ')}`);
+  }
+  const profileName = typeof data.profile === 'string' && data.profile.trim() ? data.profile.trim() : null;
+  return { profileName, settings, ignored };
+}
+
+// Format a setting value for display
+function formatSettingValue(key, value) {
+  const field = SETTINGS_SCHEMA[key];
+  if (field.type === 'boolean') return value ? 'on' : 'off';
+  if (field.type === 'rules') {
+    return value.length === 0 ? '(none)' : value
+      .map(rule => `${rule.action} ${rule.pattern}${rule.minDays !== null && rule.minDays !== undefined ? ` (${rule.minDays} days)` : ''}`)
+      .join(', ');
+  }
+  if (field.type === 'schedules') {
+    return value.length === 0 ? '(none)' : value
+      .map(schedule => `${schedule.name}${schedule.enabled ? '' : ' (off)'}: ${describeSchedule(schedule)}, ${schedule.format} to ${schedule.destination}`)
+      .join('; ');
+  }
+  if (Array.isArray(value)) return value.length === 0 ? '(none)' : value.join(', ');
+  return String(value);
+}
+
+// List the settings that differ between two settings objects:
+// [{ key, label, from, to }] with display values
+function diffSettings(current, updated) {
+  return Object.keys(SETTINGS_SCHEMA)
+    .filter(key => JSON.stringify(current[key]) !== JSON.stringify(updated[key]))
+    .map(key => ({
+      key,
+      label: SETTINGS_SCHEMA[key].label,
+      from: formatSettingValue(key, current[key]),
+      to: formatSettingValue(key, updated[key])
+    }));
+}
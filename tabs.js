@@ -2,18 +2,20 @@
 // TABS MANAGEMENT PAGE SCRIPT for Backup Long-Open Tabs Extension
 //
 // This script fetches all tracked tabs from storage and displays them in a
-// sortable, filterable table. It also provides CSV/JSON export functionality.
+// sortable, filterable table. It also provides export functionality (CSV/JSON
+// plus the formats in formats.js)
+// and a picker to load past backup snapshots (see database.js) into the table,
+// plus a diff view comparing two snapshots, restoring logged tabs and
+// importing previously exported backups. Archived tabs are listed in a
+// "Recently archived" section from which they can be reopened. Activity
+// columns (last active, visits, focus time) come from the background script.
+// A duplicates view groups open and logged tabs by normalized URL.
+// Logged tabs carry tags and a note, edited inline and searchable with "tag:name".
+// The search box accepts the query language in query.js; searches can be
+// saved and are shown as chips above the table. Tabs with a page capture link
+// to the offline viewer (viewer.html).
 // ============================================================================
 
-// Utility: Get domain from a URL
-function getDomain(url) {
-  try {
-    return new URL(url).hostname;
-  } catch {
-    return '';
-  }
-}
-
 // Utility: Get favicon URL for a tab or domain
 function getFaviconUrl(tab) {
   // Use Firefox's built-in favicon if available
@@ -33,6 +35,11 @@ const DEFAULT_FAVICON =
 let tabRows = [];
 let currentSort = { key: 'createdAt', dir: 'desc' };
 let currentFilter = '';
+// Compiled search query and the error of an invalid query (see query.js)
+let currentQuery = () => true;
+let currentQueryError = null;
+// Run ID of the snapshot shown in the table (null = current log)
+let currentSnapshotId = null;
 
 // Fetch tab data from storage and render the table
 async function loadTabLog() {
@@ -44,48 +51,48 @@ async function loadTabLog() {
     if (data.tabData && typeof data.tabData === 'object' && Object.keys(data.tabData).length > 0) {
       loggedTabData = data.tabData;
     }
-    // Build a Set of logged URLs
-    const loggedUrlSet = new Set();
-    for (const tabId in loggedTabData) {
-      if (loggedTabData[tabId].url) {
-        loggedUrlSet.add(loggedTabData[tabId].url);
-      }
+    // Build a map of logged tabs (and of their log keys) by URL
+    const loggedByUrl = buildUrlMap(Object.values(loggedTabData));
+    const logKeyByUrl = new Map();
+    for (const [key, entry] of Object.entries(loggedTabData)) {
+      if (!logKeyByUrl.has(entry.url)) logKeyByUrl.set(entry.url, key);
     }
-    // Get all open tabs
-    let openTabs = [];
-    try {
-      openTabs = await browser.tabs.query({});
-    } catch (e) {
-      openTabs = [];
+    renderArchivedList(loggedTabData);
+    // Show a past snapshot instead of the current log if one is selected
+    if (currentSnapshotId) {
+      tabRows = await buildSnapshotRows(currentSnapshotId, loggedByUrl, now);
+      renderTable();
+      return;
     }
     // Build a map of open tabs by URL
-    const openTabsMap = {};
-    for (const tab of openTabs) {
-      if (!tab.url || (!tab.url.startsWith('http://') && !tab.url.startsWith('https://'))) continue;
-      openTabsMap[tab.url] = tab;
-    }
+    const openTabs = await getOpenTabs();
+    const openTabsMap = await getOpenTabsMap(openTabs);
+    const settings = await readSettings();
+    renderDuplicates(findDuplicateGroups(openTabs, loggedTabData, loggedByUrl, settings));
+    const rules = compileRules(settings.trackingRules);
+    const activity = await getTabActivity();
     // Combine: all open tabs + all logged tabs (avoid duplicates)
     const combinedTabs = [];
-    // 1. Add all open tabs (mark as logged if in loggedUrlSet)
+    // 1. Add all open tabs (mark as logged if in loggedByUrl)
     for (const url in openTabsMap) {
       const tab = openTabsMap[url];
-      const isLogged = loggedUrlSet.has(url);
-      let loggedEntry = null;
-      if (isLogged) {
-        for (const tabId in loggedTabData) {
-          if (loggedTabData[tabId].url === url) {
-            loggedEntry = loggedTabData[tabId];
-            break;
-          }
-        }
-      }
+      const isLogged = loggedByUrl.has(url);
+      // Open tabs excluded by tracking rules are never backed up, so hide them
+      if (!isLogged && evaluateRules(url, rules, settings.minDays).excluded) continue;
+      const loggedEntry = isLogged ? loggedByUrl.get(url) : null;
       combinedTabs.push({
         ...tab,
         domain: getDomain(tab.url),
         ageInDays: loggedEntry ? Math.floor((now - loggedEntry.createdAt) / (24 * 60 * 60 * 1000)) : 0,
         tabId: tab.id,
         logged: isLogged,
+        open: true,
+        logKey: isLogged ? logKeyByUrl.get(url) : null,
+        capture: loggedEntry ? loggedEntry.capture : null,
+        tags: loggedEntry ? normalizeTags(loggedEntry.tags) : [],
+        note: loggedEntry ? loggedEntry.note || '' : '',
         createdAt: loggedEntry ? loggedEntry.createdAt : tab.lastAccessed || tab.lastModified || now,
+        ...withActivity(activity.byTabId[tab.id] || loggedEntry),
       });
     }
     // 2. Add logged tabs that are not currently open (by URL)
@@ -98,6 +105,11 @@ async function loadTabLog() {
           ageInDays: Math.floor((now - loggedTab.createdAt) / (24 * 60 * 60 * 1000)),
           tabId,
           logged: true,
+          open: false,
+          logKey: tabId,
+          tags: normalizeTags(loggedTab.tags),
+          note: loggedTab.note || '',
+          ...withActivity(activity.byUid[tabId] || loggedTab),
         });
       }
     }
@@ -109,18 +121,515 @@ async function loadTabLog() {
   }
 }
 
+// Render the "Recently archived" list (newest first)
+function renderArchivedList(loggedTabData) {
+  const list = document.getElementById('archived-list');
+  if (!list) return;
+  const archived = Object.entries(loggedTabData)
+    .filter(([, entry]) => entry.archived)
+    .sort((a, b) => (b[1].archivedAt || 0) - (a[1].archivedAt || 0))
+    .slice(0, 50);
+  document.getElementById('archived-section').style.display = archived.length > 0 ? 'block' : 'none';
+  list.innerHTML = '';
+  for (const [key, entry] of archived) {
+    const item = document.createElement('div');
+    item.className = 'archived-item';
+    const link = document.createElement('a');
+    link.href = entry.url;
+    link.target = '_blank';
+    link.textContent = entry.title || entry.url;
+    const date = document.createElement('span');
+    date.className = 'previous-title';
+    date.textContent = `archived ${formatDate(entry.archivedAt)}`;
+    const reopenBtn = document.createElement('button');
+    reopenBtn.className = 'btn btn-green';
+    reopenBtn.innerHTML = '<span class="gradient-text">Reopen</span>';
+    reopenBtn.addEventListener('click', () => reopenArchivedTab(key, reopenBtn));
+    item.append(reopenBtn, link, date);
+    list.appendChild(item);
+  }
+}
+
+// Show the active tab count alert with the actions of its notification
+async function loadTabAlert() {
+  try {
+    const response = await sendBackgroundMessage({ action: 'getTabAlert' });
+    const section = document.getElementById('tab-alert-section');
+    if (!response.alert) {
+      section.style.display = 'none';
+      return;
+    }
+    document.getElementById('tab-alert-message').textContent =
+      `${response.alert.message} (notified ${formatDate(response.alert.notifiedAt)})`;
+    document.querySelector('#tab-alert-archive-btn .gradient-text').textContent = `Archive Oldest ${response.archiveCount}`;
+    section.style.display = 'block';
+  } catch (error) {
+    console.error('Error loading tab count alert:', error);
+  }
+}
+
+// Run "Back up now" or "Archive oldest" of the tab count alert
+async function runTabAlertAction(tabAlertAction, button) {
+  button.disabled = true;
+  try {
+    const response = await sendBackgroundMessage({ action: 'runTabAlertAction', tabAlertAction });
+    showMessage(tabAlertAction === 'archiveOldest'
+      ? `Backed up and archived ${response.count} tab${response.count === 1 ? '' : 's'}`
+      : `Backed up ${response.count} tab${response.count === 1 ? '' : 's'}`, 'success');
+    await loadTabAlert();
+    await loadTabLog();
+    await loadSnapshotPicker();
+  } catch (error) {
+    console.error('Error running tab count alert action:', error);
+    showMessage(`Error: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Reopen an archived tab through the background script (keeps its age)
+async function reopenArchivedTab(key, button) {
+  button.disabled = true;
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'reopenArchived', key });
+    if (response && response.error) {
+      throw new Error(response.error);
+    }
+    showMessage('Archived tab reopened', 'success');
+    await loadTabLog();
+  } catch (error) {
+    console.error('Error reopening archived tab:', error);
+    showMessage(`Error reopening tab: ${error.message}`, 'error');
+    button.disabled = false;
+  }
+}
+
+// Get activity of open tabs (byTabId) and tracked identities (byUid) from the background script
+// If it cannot be loaded, the log is shown without activity and the error is reported
+async function getTabActivity() {
+  try {
+    const response = await sendBackgroundMessage({ action: 'getTabActivity' });
+    if (!response.byTabId || !response.byUid) {
+      throw new Error('The background script returned no tab activity');
+    }
+    return response;
+  } catch (error) {
+    console.error('Error loading tab activity:', error);
+    showMessage(`Tab activity could not be loaded: ${error.message}`, 'error');
+  }
+  return { byTabId: {}, byUid: {} };
+}
+
+// Activity fields of a row, defaulting to "never activated" so the columns sort
+function withActivity(source) {
+  return {
+    lastActivated: (source && source.lastActivated) || 0,
+    activationCount: (source && source.activationCount) || 0,
+    focusTime: (source && source.focusTime) || 0,
+  };
+}
+
+// Get all open http(s) tabs (including duplicates)
+async function getOpenTabs() {
+  let openTabs = [];
+  try {
+    openTabs = await browser.tabs.query({});
+  } catch (e) {
+    openTabs = [];
+  }
+  return openTabs.filter(tab => tab.url && (tab.url.startsWith('http://') || tab.url.startsWith('https://')));
+}
+
+// Build a map of open http(s) tabs by URL (duplicates collapse into one entry)
+async function getOpenTabsMap(openTabs) {
+  const openTabsMap = {};
+  for (const tab of openTabs || await getOpenTabs()) {
+    openTabsMap[tab.url] = tab;
+  }
+  return openTabsMap;
+}
+
+// Normalize a URL for duplicate detection according to the settings:
+// drop ignored query parameters (globs like 'utm_*'), the fragment and a trailing slash
+function normalizeUrl(url, settings) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  const ignored = (settings.duplicateIgnoredParams || []).map(globToRegExp);
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (ignored.some(regex => regex.test(name))) {
+      parsed.searchParams.delete(name);
+    }
+  }
+  if (settings.duplicateIgnoreFragment) {
+    parsed.hash = '';
+  }
+  if (settings.duplicateIgnoreTrailingSlash && parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+  let normalized = parsed.toString();
+  if (settings.duplicateIgnoreTrailingSlash && parsed.pathname === '/' && !parsed.search && !parsed.hash) {
+    normalized = normalized.replace(/\/$/, '');
+  }
+  return normalized;
+}
+
+// Group open tabs and logged tabs that are not open by normalized URL
+// Returns groups with two or more copies, largest first:
+// { url, items: [{ title, url, createdAt, tabId, open, logged }], openCount, loggedCount }
+function findDuplicateGroups(openTabs, loggedTabData, loggedByUrl, settings) {
+  const groups = new Map();
+  const addItem = item => {
+    const key = normalizeUrl(item.url, settings);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  };
+  const openUrls = new Set();
+  for (const tab of openTabs) {
+    openUrls.add(tab.url);
+    const loggedEntry = loggedByUrl.get(tab.url);
+    addItem({
+      title: tab.title,
+      url: tab.url,
+      createdAt: loggedEntry ? loggedEntry.createdAt : tab.lastAccessed || Date.now(),
+      tabId: tab.id,
+      open: true,
+      logged: !!loggedEntry,
+    });
+  }
+  for (const entry of Object.values(loggedTabData)) {
+    if (openUrls.has(entry.url)) continue;
+    addItem({ title: entry.title, url: entry.url, createdAt: entry.createdAt, tabId: null, open: false, logged: true });
+  }
+  return [...groups]
+    .filter(([, items]) => items.length > 1)
+    .map(([url, items]) => ({
+      url,
+      items: items.sort((a, b) => a.createdAt - b.createdAt),
+      openCount: items.filter(item => item.open).length,
+      loggedCount: items.filter(item => item.logged).length,
+    }))
+    .sort((a, b) => b.items.length - a.items.length || a.url.localeCompare(b.url));
+}
+
+// Render the duplicates view (hidden when there are no duplicates)
+function renderDuplicates(groups) {
+  const list = document.getElementById('duplicates-list');
+  if (!list) return;
+  document.getElementById('duplicates-section').style.display = groups.length > 0 ? 'block' : 'none';
+  document.getElementById('duplicates-count').textContent = groups.length;
+  list.innerHTML = '';
+  for (const group of groups) {
+    const groupDiv = document.createElement('div');
+    groupDiv.className = 'duplicate-group';
+    const header = document.createElement('div');
+    header.className = 'archived-item';
+    const summary = document.createElement('strong');
+    summary.textContent = `${group.items.length} copies (${group.openCount} open, ${group.loggedCount} logged)`;
+    const url = document.createElement('span');
+    url.className = 'previous-title';
+    url.textContent = group.url;
+    header.append(summary, url);
+    if (group.openCount > 1) {
+      const closeBtn = document.createElement('button');
+      closeBtn.className = 'btn btn-yellow';
+      closeBtn.innerHTML = '<span class="gradient-text">Close All But One</span>';
+      closeBtn.addEventListener('click', () => handleCloseDuplicates(group, closeBtn));
+      header.prepend(closeBtn);
+    }
+    groupDiv.appendChild(header);
+    for (const item of group.items) {
+      const itemDiv = document.createElement('div');
+      itemDiv.className = 'duplicate-item';
+      const link = document.createElement('a');
+      link.href = item.url;
+      link.target = '_blank';
+      link.textContent = item.title || item.url;
+      const badge = document.createElement('span');
+      badge.className = 'archived-badge';
+      badge.textContent = item.open ? (item.logged ? 'open, logged' : 'open') : 'logged';
+      const date = document.createElement('span');
+      date.className = 'previous-title';
+      date.textContent = `opened ${formatDate(item.createdAt)}`;
+      itemDiv.append(link, badge, date);
+      groupDiv.appendChild(itemDiv);
+    }
+    list.appendChild(groupDiv);
+  }
+}
+
+// Close all open copies in a duplicate group except the oldest one
+async function handleCloseDuplicates(group, button) {
+  const tabIds = group.items.filter(item => item.open).map(item => item.tabId);
+  if (!confirm(`Close ${tabIds.length - 1} duplicate tab${tabIds.length === 2 ? '' : 's'} and keep the oldest copy?`)) {
+    return;
+  }
+  button.disabled = true;
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'closeDuplicates', tabIds });
+    if (response && response.error) {
+      throw new Error(response.error);
+    }
+    showMessage(`Closed ${response.closed} duplicate tab${response.closed === 1 ? '' : 's'}`, 'success');
+    await loadTabLog();
+  } catch (error) {
+    console.error('Error closing duplicate tabs:', error);
+    showMessage(`Error closing duplicates: ${error.message}`, 'error');
+    button.disabled = false;
+  }
+}
+
+// Build a map of tab entries by URL (the first entry for each URL wins)
+function buildUrlMap(entries) {
+  const map = new Map();
+  for (const entry of entries) {
+    if (entry.url && !map.has(entry.url)) {
+      map.set(entry.url, entry);
+    }
+  }
+  return map;
+}
+
+// Convert a stored tab entry into a table row
+// Rows are marked as logged if their URL is in the current log
+function toLogRow(entry, tabId, loggedByUrl, now) {
+  return {
+    ...entry,
+    ...withActivity(entry),
+    tags: normalizeTags(entry.tags),
+    note: entry.note || '',
+    domain: getDomain(entry.url),
+    ageInDays: Math.floor((now - entry.createdAt) / (24 * 60 * 60 * 1000)),
+    tabId,
+    logged: loggedByUrl.has(entry.url),
+    open: false,
+  };
+}
+
+// Load a snapshot by run ID, failing if it no longer exists
+async function loadSnapshot(runId) {
+  const snapshot = await getSnapshot(runId);
+  if (!snapshot) {
+    throw new Error(`Snapshot ${runId} not found`);
+  }
+  return snapshot;
+}
+
+// Build table rows from a backup snapshot
+async function buildSnapshotRows(runId, loggedByUrl, now) {
+  const snapshot = await loadSnapshot(runId);
+  return snapshot.tabs.map((tab, index) => toLogRow(tab, `${runId}-${index}`, loggedByUrl, now));
+}
+
+// Label for a snapshot in the pickers
+function snapshotLabel(snapshot) {
+  return `${formatDate(snapshot.timestamp)} (${snapshot.trigger}, ${snapshot.tabCount} tab${snapshot.tabCount === 1 ? '' : 's'})`;
+}
+
+// Fill the snapshot pickers with all stored backup snapshots
+async function loadSnapshotPicker() {
+  const picker = document.getElementById('snapshot-picker');
+  if (!picker) return;
+  try {
+    const snapshots = await listSnapshots();
+    picker.innerHTML = '';
+    picker.appendChild(new Option('Current log', ''));
+    for (const snapshot of snapshots) {
+      picker.appendChild(new Option(snapshotLabel(snapshot), snapshot.runId));
+    }
+    picker.value = currentSnapshotId || '';
+    // Diff pickers default to comparing the two most recent snapshots
+    const diffFrom = document.getElementById('diff-from');
+    const diffTo = document.getElementById('diff-to');
+    if (diffFrom && diffTo) {
+      for (const select of [diffFrom, diffTo]) {
+        const selected = select.value;
+        select.innerHTML = '';
+        for (const snapshot of snapshots) {
+          select.appendChild(new Option(snapshotLabel(snapshot), snapshot.runId));
+        }
+        select.value = selected;
+      }
+      if (!diffTo.value && snapshots.length > 0) diffTo.value = snapshots[0].runId;
+      if (!diffFrom.value && snapshots.length > 0) diffFrom.value = snapshots[Math.min(1, snapshots.length - 1)].runId;
+    }
+  } catch (error) {
+    console.error('Error loading snapshots:', error);
+    showMessage('Error loading backup snapshots', 'error');
+  }
+}
+
+// Rows of the last computed diff, by section (used for export)
+let diffRows = { added: [], removed: [], changed: [] };
+
+// Compare two snapshots by URL: tabs added, tabs removed, and tabs whose
+// title changed at the same URL
+async function compareSnapshots(fromRunId, toRunId) {
+  const [fromSnapshot, toSnapshot] = await Promise.all([loadSnapshot(fromRunId), loadSnapshot(toRunId)]);
+  const data = await browser.storage.local.get('tabData');
+  const loggedByUrl = buildUrlMap(Object.values(data.tabData || {}));
+  const fromByUrl = buildUrlMap(fromSnapshot.tabs);
+  const toByUrl = buildUrlMap(toSnapshot.tabs);
+  const now = Date.now();
+  const result = { added: [], removed: [], changed: [] };
+  for (const [url, tab] of toByUrl) {
+    const previous = fromByUrl.get(url);
+    if (!previous) {
+      result.added.push(toLogRow(tab, `added-${url}`, loggedByUrl, now));
+    } else if ((previous.title || '') !== (tab.title || '')) {
+      result.changed.push({ ...toLogRow(tab, `changed-${url}`, loggedByUrl, now), previousTitle: previous.title || '' });
+    }
+  }
+  for (const [url, tab] of fromByUrl) {
+    if (!toByUrl.has(url)) {
+      result.removed.push(toLogRow(tab, `removed-${url}`, loggedByUrl, now));
+    }
+  }
+  return result;
+}
+
+// Compare the snapshots selected in the diff pickers and render the result
+async function handleCompareSnapshots() {
+  const fromRunId = document.getElementById('diff-from').value;
+  const toRunId = document.getElementById('diff-to').value;
+  if (!fromRunId || !toRunId) {
+    showMessage('Please select two snapshots to compare', 'info');
+    return;
+  }
+  try {
+    diffRows = await compareSnapshots(fromRunId, toRunId);
+    for (const section of ['added', 'removed', 'changed']) {
+      document.getElementById(`diff-${section}-count`).textContent = diffRows[section].length;
+      renderRows(document.getElementById(`diff-${section}-body`), diffRows[section]);
+    }
+    document.getElementById('snapshot-diff').style.display = 'block';
+  } catch (error) {
+    console.error('Error comparing snapshots:', error);
+    showMessage('Error comparing snapshots', 'error');
+  }
+}
+
+// Rows of the current view that match the search query
+// (all rows while the query is invalid, with the error shown above the table)
+function getFilteredRows() {
+  if (!currentFilter || currentQueryError) {
+    return tabRows;
+  }
+  return tabRows.filter(currentQuery);
+}
+
+// Compile the search query and show or clear the inline error
+function setSearchQuery(query) {
+  currentFilter = query;
+  const errorDiv = document.getElementById('search-error');
+  try {
+    currentQuery = compileQuery(query);
+    currentQueryError = null;
+    errorDiv.style.display = 'none';
+  } catch (error) {
+    currentQuery = () => true;
+    currentQueryError = error.message;
+    errorDiv.textContent = `Invalid search: ${error.message}`;
+    errorDiv.style.display = 'block';
+  }
+  renderSavedSearches();
+  renderTable();
+}
+
+// Saved searches ({ name, query }) shown as chips above the table
+let savedSearches = [];
+
+// Load saved searches from storage
+async function loadSavedSearches() {
+  try {
+    const result = await browser.storage.local.get('savedSearches');
+    savedSearches = Array.isArray(result.savedSearches) ? result.savedSearches : [];
+  } catch (error) {
+    console.error('Error loading saved searches:', error);
+    savedSearches = [];
+  }
+  renderSavedSearches();
+}
+
+// Render the saved search chips (the chip of the current query is highlighted)
+function renderSavedSearches() {
+  const container = document.getElementById('saved-searches');
+  if (!container) return;
+  container.innerHTML = '';
+  savedSearches.forEach((search, index) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'search-chip' + (search.query === currentFilter ? ' active' : '');
+    chip.title = search.query;
+    chip.textContent = search.name;
+    chip.addEventListener('click', () => {
+      document.getElementById('tablog-search').value = search.query;
+      setSearchQuery(search.query);
+    });
+    const remove = document.createElement('span');
+    remove.className = 'chip-remove';
+    remove.textContent = '✕';
+    remove.title = 'Delete saved search';
+    remove.addEventListener('click', e => {
+      e.stopPropagation();
+      deleteSavedSearch(index);
+    });
+    chip.appendChild(remove);
+    container.appendChild(chip);
+  });
+}
+
+// Save the current search under a name
+async function handleSaveSearch() {
+  const query = currentFilter.trim();
+  if (!query) {
+    showMessage('Type a search first', 'info');
+    return;
+  }
+  if (currentQueryError) {
+    showMessage(`Cannot save an invalid search: ${currentQueryError}`, 'error');
+    return;
+  }
+  const name = prompt('Name for this search:', query);
+  if (name === null) return;
+  try {
+    const existing = savedSearches.findIndex(search => search.name === (name.trim() || query));
+    const search = { name: name.trim() || query, query };
+    if (existing >= 0) {
+      savedSearches[existing] = search;
+    } else {
+      savedSearches.push(search);
+    }
+    await browser.storage.local.set({ savedSearches });
+    renderSavedSearches();
+    showMessage('Search saved', 'success');
+  } catch (error) {
+    console.error('Error saving search:', error);
+    showMessage('Error saving search', 'error');
+  }
+}
+
+// Delete a saved search
+async function deleteSavedSearch(index) {
+  try {
+    savedSearches.splice(index, 1);
+    await browser.storage.local.set({ savedSearches });
+    renderSavedSearches();
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    showMessage('Error deleting saved search', 'error');
+  }
+}
+
 // Render the table with current sorting and filtering
 function renderTable() {
-  let rows = tabRows;
-  
   // Filter
-  if (currentFilter) {
-    const filter = currentFilter.toLowerCase();
-    rows = rows.filter(row =>
-      (row.title && row.title.toLowerCase().includes(filter)) ||
-      (row.domain && row.domain.toLowerCase().includes(filter))
-    );
-  }
+  let rows = getFilteredRows();
   
   // Sort
   rows = rows.slice().sort((a, b) => {
@@ -149,10 +658,23 @@ function renderTable() {
   const tableBody = document.getElementById('tabTableBody');
   if (!tableBody) return;
   
+  renderRows(tableBody, rows);
+  
+  // Update sort indicators
+  document.querySelectorAll('.tablog-table th').forEach(th => {
+    th.classList.remove('sort-asc', 'sort-desc');
+    if (th.dataset.sort === currentSort.key) {
+      th.classList.add(currentSort.dir === 'asc' ? 'sort-asc' : 'sort-desc');
+    }
+  });
+}
+
+// Render rows into a table body (shared by the main table and the diff tables)
+function renderRows(tableBody, rows) {
   tableBody.innerHTML = '';
   
   if (rows.length === 0) {
-    tableBody.innerHTML = '<tr><td colspan="4" style="text-align:center;padding:20px;color:#666;">No tabs found</td></tr>';
+    tableBody.innerHTML = '<tr><td colspan="8" style="text-align:center;padding:20px;color:#666;">No tabs found</td></tr>';
     return;
   }
   
@@ -167,12 +689,40 @@ function renderTable() {
     logCheckbox.checked = false; // Always start unchecked
     logCheckbox.dataset.url = row.url;
     logCheckbox.dataset.logged = row.logged.toString();
+    logCheckbox.dataset.title = row.title || '';
     statusTd.appendChild(logCheckbox);
     tr.appendChild(statusTd);
     
-    // Title column
+    // Title column (with the previous title for changed tabs in the diff view)
     const titleTd = document.createElement('td');
     titleTd.textContent = row.title || 'Untitled';
+    if (row.archived) {
+      const badge = document.createElement('span');
+      badge.className = 'archived-badge';
+      badge.textContent = 'archived';
+      titleTd.appendChild(badge);
+    }
+    if (row.keepForever) {
+      const badge = document.createElement('span');
+      badge.className = 'archived-badge';
+      badge.textContent = 'kept forever';
+      titleTd.appendChild(badge);
+    }
+    if (row.capture && row.logKey) {
+      const captureLink = document.createElement('a');
+      captureLink.className = 'archived-badge';
+      captureLink.href = `viewer.html?key=${encodeURIComponent(row.logKey)}`;
+      captureLink.target = '_blank';
+      captureLink.title = `Saved ${formatDate(row.capture.capturedAt)}`;
+      captureLink.textContent = 'saved copy';
+      titleTd.appendChild(captureLink);
+    }
+    if (row.previousTitle !== undefined) {
+      const previousTitle = document.createElement('div');
+      previousTitle.className = 'previous-title';
+      previousTitle.textContent = `was: ${row.previousTitle || 'Untitled'}`;
+      titleTd.appendChild(previousTitle);
+    }
     tr.appendChild(titleTd);
     
     // Link column
@@ -189,16 +739,68 @@ function renderTable() {
     openedFromTd.textContent = formatDate(row.createdAt);
     tr.appendChild(openedFromTd);
     
+    // Activity columns
+    const lastActiveTd = document.createElement('td');
+    lastActiveTd.textContent = row.lastActivated ? formatDate(row.lastActivated) : 'Never';
+    tr.appendChild(lastActiveTd);
+    const visitsTd = document.createElement('td');
+    visitsTd.textContent = row.activationCount;
+    tr.appendChild(visitsTd);
+    const focusTd = document.createElement('td');
+    focusTd.textContent = formatDuration(row.focusTime);
+    tr.appendChild(focusTd);
+    
+    // Tags and note column (editable for tabs in the current log)
+    tr.appendChild(renderAnnotationCell(row));
+    
     tableBody.appendChild(tr);
   });
-  
-  // Update sort indicators
-  document.querySelectorAll('.tablog-table th').forEach(th => {
-    th.classList.remove('sort-asc', 'sort-desc');
-    if (th.dataset.sort === currentSort.key) {
-      th.classList.add(currentSort.dir === 'asc' ? 'sort-asc' : 'sort-desc');
+}
+
+// Render the tags and note of a row: inputs for logged tabs of the current
+// log, plain text for snapshots and tabs that are not logged
+function renderAnnotationCell(row) {
+  const td = document.createElement('td');
+  td.className = 'annotation-cell';
+  if (!row.logKey) {
+    td.textContent = [row.tags.map(tag => `#${tag}`).join(' '), row.note].filter(text => text).join(' — ');
+    return td;
+  }
+  const tagsInput = document.createElement('input');
+  tagsInput.type = 'text';
+  tagsInput.className = 'tags-input';
+  tagsInput.placeholder = 'tags, comma-separated';
+  tagsInput.value = row.tags.join(', ');
+  const noteInput = document.createElement('input');
+  noteInput.type = 'text';
+  noteInput.className = 'note-input';
+  noteInput.placeholder = 'note';
+  noteInput.value = row.note;
+  const save = () => saveAnnotation(row, tagsInput.value, noteInput.value, tagsInput);
+  tagsInput.addEventListener('change', save);
+  noteInput.addEventListener('change', save);
+  td.append(tagsInput, noteInput);
+  return td;
+}
+
+// Save the tags and note of a logged tab
+async function saveAnnotation(row, tagsValue, noteValue, tagsInput) {
+  try {
+    const data = await browser.storage.local.get('tabData');
+    const loggedTabData = data.tabData || {};
+    const entry = loggedTabData[row.logKey];
+    if (!entry) {
+      throw new Error('Tab is no longer in the log');
     }
-  });
+    row.tags = normalizeTags(tagsValue);
+    row.note = noteValue.trim();
+    loggedTabData[row.logKey] = { ...entry, tags: row.tags, note: row.note };
+    await browser.storage.local.set({ tabData: loggedTabData });
+    tagsInput.value = row.tags.join(', ');
+  } catch (error) {
+    console.error('Error saving tags and note:', error);
+    showMessage(`Error saving tags and note: ${error.message}`, 'error');
+  }
 }
 
 // Clear logs with filtering
@@ -237,7 +839,7 @@ async function handleAddRemoveCheckedTabs() {
         const tabId = Date.now() + Math.random().toString(36).substr(2, 9);
         loggedTabData[tabId] = {
           url: url,
-          title: checkbox.closest('tr').querySelector('td:nth-child(2)').textContent,
+          title: checkbox.dataset.title,
           createdAt: Date.now(),
           domain: checkbox.closest('tr').querySelector('td:nth-child(4)').textContent
         };
@@ -261,6 +863,128 @@ async function handleAddRemoveCheckedTabs() {
   }
 }
 
+// Collect the rows to restore for the chosen source
+// source: 'checked' (checked rows), 'filtered' (rows matching the search), 'all' (whole view/snapshot)
+function getRestoreRows(source) {
+  if (source === 'checked') {
+    const checkedUrls = new Set(Array.from(document.querySelectorAll('.tab-checkbox:checked')).map(cb => cb.dataset.url));
+    const rows = [...tabRows, ...diffRows.added, ...diffRows.removed, ...diffRows.changed];
+    return rows.filter(row => checkedUrls.has(row.url));
+  }
+  if (source === 'filtered') {
+    return getFilteredRows();
+  }
+  return tabRows;
+}
+
+// Reopen logged tabs with browser.tabs.create
+// Returns lists of opened, skipped (already open or duplicate) and failed URLs
+async function restoreTabs(rows, options, onProgress) {
+  const summary = { opened: [], skipped: [], failed: [] };
+  const openTabsMap = options.skipOpen ? await getOpenTabsMap() : {};
+  const seenUrls = new Set();
+  let windowId;
+  let placeholderTabId = null;
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    onProgress(i + 1, rows.length);
+    if (seenUrls.has(row.url) || openTabsMap[row.url]) {
+      summary.skipped.push(row.url);
+      continue;
+    }
+    seenUrls.add(row.url);
+    try {
+      // Create the new window only once there is a tab to open in it
+      if (options.newWindow && windowId === undefined) {
+        const win = await browser.windows.create({});
+        windowId = win.id;
+        placeholderTabId = win.tabs && win.tabs.length > 0 ? win.tabs[0].id : null;
+      }
+      const createProperties = { url: row.url, active: false };
+      if (windowId !== undefined) {
+        createProperties.windowId = windowId;
+      }
+      if (options.lazy && BROWSER_SUPPORT.createDiscarded) {
+        // Discarded tabs are not loaded until they are selected
+        createProperties.discarded = true;
+        createProperties.title = row.title || row.url;
+      }
+      const tab = await browser.tabs.create(createProperties);
+      if (options.lazy && !BROWSER_SUPPORT.createDiscarded) {
+        // Chrome cannot open a tab discarded: unload it once it exists
+        // (the tab stays open and loaded if that is refused)
+        try {
+          await browser.tabs.discard(tab.id);
+        } catch (error) {
+          console.warn(`Could not unload ${row.url}:`, error);
+        }
+      }
+      summary.opened.push(row.url);
+    } catch (error) {
+      console.error(`Error restoring ${row.url}:`, error);
+      summary.failed.push(row.url);
+    }
+  }
+  // Close the new tab page the new window was created with
+  if (placeholderTabId !== null && summary.opened.length > 0) {
+    await browser.tabs.remove(placeholderTabId);
+  }
+  return summary;
+}
+
+// Restore rows from the table using the options chosen in the restore section
+async function handleRestoreTabs(source) {
+  if (source === 'filtered' && currentQueryError) {
+    showMessage(`Fix the search first: ${currentQueryError}`, 'error');
+    return;
+  }
+  const rows = getRestoreRows(source);
+  if (rows.length === 0) {
+    showMessage('No tabs to restore', 'info');
+    return;
+  }
+  const options = {
+    newWindow: document.getElementById('restore-new-window').checked,
+    lazy: document.getElementById('restore-lazy').checked,
+    skipOpen: document.getElementById('restore-skip-open').checked
+  };
+  if (rows.length > 50 && !confirm(`Restore ${rows.length} tabs?`)) return;
+  const buttons = document.querySelectorAll('.restore-btn');
+  const progress = document.getElementById('restore-progress');
+  buttons.forEach(btn => { btn.disabled = true; });
+  progress.style.display = 'block';
+  try {
+    const summary = await restoreTabs(rows, options, (done, total) => {
+      progress.textContent = `Restoring ${done} / ${total}...`;
+    });
+    progress.textContent = '';
+    const heading = document.createElement('div');
+    heading.textContent = `Opened ${summary.opened.length}, skipped ${summary.skipped.length} (already open), failed ${summary.failed.length}.`;
+    progress.appendChild(heading);
+    for (const [label, urls] of [['Skipped', summary.skipped], ['Failed', summary.failed]]) {
+      if (urls.length === 0) continue;
+      const details = document.createElement('details');
+      const detailsSummary = document.createElement('summary');
+      detailsSummary.textContent = `${label} (${urls.length})`;
+      details.appendChild(detailsSummary);
+      for (const url of urls) {
+        const item = document.createElement('div');
+        item.textContent = url;
+        details.appendChild(item);
+      }
+      progress.appendChild(details);
+    }
+    showMessage(`Restored ${summary.opened.length} tab${summary.opened.length === 1 ? '' : 's'}`, summary.failed.length > 0 ? 'error' : 'success');
+    await loadTabLog();
+  } catch (error) {
+    console.error('Error restoring tabs:', error);
+    progress.textContent = `Restore failed: ${error.message}`;
+    showMessage('Error restoring tabs', 'error');
+  } finally {
+    buttons.forEach(btn => { btn.disabled = false; });
+  }
+}
+
 // Show message to user
 function showMessage(text, type = 'info') {
   // Create a simple message display
@@ -304,24 +1028,28 @@ function showMessage(text, type = 'info') {
   }, type === 'error' ? 7000 : 4000);
 }
 
-// Escape HTML for safe rendering
-function escapeHtml(str) {
-  return String(str).replace(/[&<>"]/g, function (c) {
-    return {'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c];
-  });
-}
-
 // Format date for display
 function formatDate(ts) {
   const d = new Date(ts);
   return d.toLocaleDateString() + ' ' + d.toLocaleTimeString();
 }
 
+// Format a duration in milliseconds for display (e.g. "2h 5m")
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return ms > 0 ? '<1m' : '0m';
+  const hours = Math.floor(minutes / 60);
+  if (hours < 1) return `${minutes}m`;
+  const days = Math.floor(hours / 24);
+  if (days < 1) return `${hours}h ${minutes % 60}m`;
+  return `${days}d ${hours % 24}h`;
+}
+
 // On DOMContentLoaded, update header caption with minDays from settings
 async function updateHeaderCaption() {
   let minDays = 7; // fallback default
   try {
-    const settings = await getSettings();
+    const settings = await readSettings();
     minDays = settings.minDays;
     console.log('DEBUG: minDays from storage:', minDays, settings);
   } catch (e) {
@@ -335,29 +1063,21 @@ async function updateHeaderCaption() {
   }
 }
 
-async function getSettings() {
-  const result = await browser.storage.local.get('settings');
-  // Always merge with defaults to ensure all keys exist
-  const DEFAULT_SETTINGS = {
-    minDays: -1,
-    maxTabs: 1000,
-    autoBackupEnabled: false,
-    backupTime: '05:00',
-    backupDays: ['Mon'],
-    toleranceHours: 12,
-    excludePrivate: true,
-    excludePinned: false,
-    maxTitleLength: 100,
-    theme: 'auto'
-  };
-  return { ...DEFAULT_SETTINGS, ...(result.settings || {}) };
-}
-
 
 // Handle sorting when clicking table headers
 document.addEventListener('DOMContentLoaded', async () => {
   await updateHeaderCaption();
   loadTabLog();
+  loadSnapshotPicker();
+  loadTabAlert();
+  
+  // Tab count alert actions
+  document.getElementById('tab-alert-backup-btn').addEventListener('click', e => {
+    runTabAlertAction('backup', e.currentTarget);
+  });
+  document.getElementById('tab-alert-archive-btn').addEventListener('click', e => {
+    runTabAlertAction('archiveOldest', e.currentTarget);
+  });
   
   // Sorting
   document.querySelectorAll('.tablog-table th[data-sort]').forEach(th => {
@@ -375,12 +1095,34 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // Filtering
   document.getElementById('tablog-search').addEventListener('input', e => {
-    currentFilter = e.target.value;
-    renderTable();
+    setSearchQuery(e.target.value);
+  });
+  
+  // Saved searches
+  loadSavedSearches();
+  document.getElementById('save-search-btn').addEventListener('click', () => {
+    handleSaveSearch();
   });
   
 
   
+  // Snapshot picker
+  document.getElementById('snapshot-picker').addEventListener('change', e => {
+    currentSnapshotId = e.target.value || null;
+    loadTabLog();
+  });
+  
+  // Snapshot diff
+  document.getElementById('compare-snapshots-btn').addEventListener('click', () => {
+    handleCompareSnapshots();
+  });
+  document.querySelectorAll('.diff-export-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const section = btn.dataset.section;
+      exportCSV(diffRows[section], `tabs-diff-${section}.csv`);
+    });
+  });
+  
   // Export CSV
   document.getElementById('export-csv').addEventListener('click', () => {
     exportCSV();
@@ -391,11 +1133,41 @@ document.addEventListener('DOMContentLoaded', async () => {
     exportJSON();
   });
   
+  // Export bookmark HTML, OneTab, Markdown and OPML
+  document.querySelectorAll('.export-format-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      exportFormat(btn.dataset.format);
+    });
+  });
+  
+  // Import
+  document.getElementById('import-btn').addEventListener('click', () => {
+    document.getElementById('import-file').click();
+  });
+  document.getElementById('import-file').addEventListener('change', e => {
+    if (e.target.files.length > 0) {
+      handleImportFile(e.target.files[0]);
+    }
+  });
+  document.getElementById('import-confirm-btn').addEventListener('click', () => {
+    handleConfirmImport();
+  });
+  document.getElementById('import-cancel-btn').addEventListener('click', () => {
+    closeImportPreview();
+  });
+  
   // Add/Remove checked tabs
   document.getElementById('clear-logs-btn').addEventListener('click', () => {
     handleAddRemoveCheckedTabs();
   });
   
+  // Restore buttons
+  document.querySelectorAll('.restore-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      handleRestoreTabs(btn.dataset.source);
+    });
+  });
+  
   // Remove all logs
   document.getElementById('remove-all-logs-btn').addEventListener('click', async () => {
     if (!confirm('Are you sure you want to remove ALL logs? This action cannot be undone.')) return;
@@ -417,41 +1189,42 @@ document.addEventListener('DOMContentLoaded', async () => {
       backupNowBtn.textContent = 'Backing up...';
       let response = null;
       try {
-        response = await browser.runtime.sendMessage({ action: 'performBackup' });
+        response = await sendBackgroundMessage({ action: 'performBackup' });
       } catch (error) {
-        showMessage('Backup failed:' + error.message, 'error');
+        showMessage(`Backup failed: ${error.message}`, 'error');
       } finally {
         backupNowBtn.disabled = false;
         backupNowBtn.textContent = originalText;
-        // Always update the table after backup attempt
+        // Always update the table and snapshot list after backup attempt
         await loadTabLog();
+        await loadSnapshotPicker();
       }
       // Show appropriate message
-      console.log('Backup response:', response);
-      if (!response || typeof response !== 'object') {
-        // If the table has tabs, treat as silent success
-        if (tabRows && tabRows.length > 0) {
-          console.log('Backup: No response, but table updated. Treating as silent success.');
-        } else {
-          showMessage('No tabs to back up.', 'info');
-        }
-      } else if (response.success) {
+      if (!response) return;
+      if (response.success) {
         if (response.count === 0) {
           showMessage(response.message || 'No tabs to back up.', 'info');
         } else {
-          showMessage(`Backup completed! ${response.count} tabs backed up.`, 'success');
+          const targets = [
+            response.file && response.file.path,
+            response.bookmarks && `bookmarks folder "${response.bookmarks.folder}"`
+          ].filter(Boolean);
+          const location = targets.length > 0 ? ` to ${targets.join(' and ')}` : '';
+          showMessage(`Backup completed! ${response.count} tabs backed up${location}.`, 'success');
         }
-      } else if (response.success === false) {
-        // Only show error if success: false
-        showMessage((response && response.message) ? response.message : 'Backup failed (unexpected error)', 'error');
+      } else {
+        showMessage(response.message || 'Backup failed', 'error');
       }
     });
   }
 
   // Auto-reload tab log when a new bookmark is added
+  // (debounced, since a bookmark backup creates many bookmarks at once)
   if (browser.bookmarks && browser.bookmarks.onCreated) {
+    let reloadTimer = null;
     browser.bookmarks.onCreated.addListener(() => {
-      loadTabLog();
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(loadTabLog, 500);
     });
   }
   
@@ -475,14 +1248,270 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 });
 
-// Export table as CSV
-function exportCSV() {
-  let csv = 'Title,Domain,Opened,Age (days),URL\n';
-  for (const row of tabRows) {
-    csv += `"${(row.title||'').replace(/"/g,'""')}","${row.domain}","${formatDate(row.createdAt)}",${row.ageInDays},"${row.url}"
-`;
+// Rows parsed from the selected import file, with their preview status
+let importRows = [];
+
+// Parse CSV text into an array of records (arrays of fields)
+function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ',') {
+      record.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Parse a date from an export; falls back to the age in days
+// Only ISO 8601 dates are read: locale-formatted dates are ambiguous
+// (19/10 vs 10/19) and Date.parse misreads or rejects them
+function parseImportedDate(value, ageInDays, now) {
+  if (typeof value === 'number') return value;
+  const parsed = /^\d{4}-\d{2}-\d{2}/.test(String(value).trim()) ? Date.parse(value) : NaN;
+  if (!isNaN(parsed)) return parsed;
+  const age = parseFloat(ageInDays);
+  return isNaN(age) ? now : now - age * 24 * 60 * 60 * 1000;
+}
+
+// Parse an import file into raw entries { title, url, createdAt, tags, note }
+// Supported: our JSON/CSV exports and backup files, Firefox session JSON,
+// plain URL lists (one URL per line, optionally "URL | title")
+function parseImportFile(text, now) {
+  if (text.startsWith('mozLz40')) {
+    throw new Error('Compressed Firefox session files (.jsonlz4) are not supported; decompress the file first');
+  }
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // Not JSON, try CSV or URL list below
+  }
+  if (json !== null) {
+    // Firefox session: windows -> tabs -> entries, current entry at index (1-based)
+    if (json && Array.isArray(json.windows)) {
+      const entries = [];
+      for (const win of [...json.windows, ...(json._closedWindows || [])]) {
+        for (const tab of win.tabs || []) {
+          const history = tab.entries || [];
+          const current = history[(tab.index || history.length) - 1] || history[history.length - 1];
+          if (!current) continue;
+          entries.push({ title: current.title, url: current.url, createdAt: tab.lastAccessed || now });
+        }
+      }
+      return entries;
+    }
+    // Background backup file ({ tabs: [...] }) or dashboard export ([...])
+    const list = Array.isArray(json) ? json : json && json.tabs;
+    if (!Array.isArray(list)) {
+      throw new Error('Unrecognized JSON file');
+    }
+    return list.map(item => ({
+      title: item && item.title,
+      url: item && item.url,
+      createdAt: parseImportedDate(item && (item.createdAt || item.opened), item && item.ageInDays, now),
+      tags: item && item.tags,
+      note: item && item.note
+    }));
+  }
+  // CSV export: header row with Title and URL columns
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  if (/^"?Title"?,/i.test(firstLine)) {
+    const [header, ...records] = parseCSV(text);
+    const column = name => header.findIndex(h => h.trim().toLowerCase() === name);
+    const titleCol = column('title');
+    const urlCol = column('url');
+    const openedCol = column('opened (iso)') >= 0 ? column('opened (iso)') : column('opened');
+    const ageCol = column('age (days)');
+    const tagsCol = column('tags');
+    const noteCol = column('note');
+    return records.map(r => ({
+      title: r[titleCol],
+      url: r[urlCol],
+      createdAt: parseImportedDate(openedCol >= 0 ? r[openedCol] : '', ageCol >= 0 ? r[ageCol] : '', now),
+      tags: tagsCol >= 0 ? r[tagsCol] : '',
+      note: noteCol >= 0 ? r[noteCol] : ''
+    }));
+  }
+  // Plain URL list
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line)
+    .map(line => {
+      const separator = line.indexOf(' | ');
+      return separator >= 0
+        ? { url: line.slice(0, separator).trim(), ...parseOneTabTitle(line.slice(separator + 3).trim()), createdAt: now }
+        : { url: line, title: '', createdAt: now };
+    });
+}
+
+// Validate parsed entries and mark duplicates against the current log
+function validateImportEntries(entries, loggedByUrl, now) {
+  const seenUrls = new Set();
+  return entries.map(entry => {
+    const row = {
+      title: typeof entry.title === 'string' ? entry.title : '',
+      url: typeof entry.url === 'string' ? entry.url.trim() : '',
+      createdAt: Number.isFinite(entry.createdAt) ? Math.min(entry.createdAt, now) : now,
+      tags: normalizeTags(entry.tags),
+      note: typeof entry.note === 'string' ? entry.note.trim() : '',
+      status: 'new'
+    };
+    let parsedUrl = null;
+    try {
+      parsedUrl = new URL(row.url);
+    } catch {
+      // Invalid URL, reported below
+    }
+    if (!parsedUrl || (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:')) {
+      row.status = 'invalid';
+    } else if (loggedByUrl.has(row.url)) {
+      row.status = 'logged';
+    } else if (seenUrls.has(row.url)) {
+      row.status = 'duplicate';
+    }
+    seenUrls.add(row.url);
+    row.accepted = row.status === 'new';
+    return row;
+  });
+}
+
+// Read the selected file and show the import preview
+async function handleImportFile(file) {
+  try {
+    const now = Date.now();
+    const text = await file.text();
+    const data = await browser.storage.local.get('tabData');
+    const loggedByUrl = buildUrlMap(Object.values(data.tabData || {}));
+    importRows = validateImportEntries(parseImportFile(text, now), loggedByUrl, now);
+    if (importRows.length === 0) {
+      showMessage('No tabs found in the selected file', 'info');
+      return;
+    }
+    renderImportPreview(file.name);
+  } catch (error) {
+    console.error('Error reading import file:', error);
+    showMessage(`Import failed: ${error.message}`, 'error');
+  }
+}
+
+// Render the import preview table
+function renderImportPreview(fileName) {
+  const statusLabels = {
+    new: 'New',
+    logged: 'Already logged',
+    duplicate: 'Duplicate in file',
+    invalid: 'Invalid URL'
+  };
+  const counts = { new: 0, logged: 0, duplicate: 0, invalid: 0 };
+  const tableBody = document.getElementById('import-preview-body');
+  tableBody.innerHTML = '';
+  importRows.forEach(row => {
+    counts[row.status]++;
+    const tr = document.createElement('tr');
+    const acceptTd = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = row.accepted;
+    checkbox.disabled = row.status === 'invalid';
+    checkbox.addEventListener('change', () => { row.accepted = checkbox.checked; });
+    acceptTd.appendChild(checkbox);
+    tr.appendChild(acceptTd);
+    for (const text of [row.title || 'Untitled', row.url, formatDate(row.createdAt), statusLabels[row.status]]) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    tableBody.appendChild(tr);
+  });
+  document.getElementById('import-summary').textContent =
+    `${fileName}: ${importRows.length} rows - ${counts.new} new, ${counts.logged} already logged, ${counts.duplicate} duplicates in file, ${counts.invalid} invalid.`;
+  document.getElementById('import-preview').style.display = 'block';
+}
+
+// Merge the accepted import rows into the log, keeping their createdAt
+// Rows already in the log only add their tags (and a note if there is none)
+async function handleConfirmImport() {
+  const accepted = importRows.filter(row => row.accepted && row.status !== 'invalid');
+  if (accepted.length === 0) {
+    showMessage('No rows selected for import', 'info');
+    return;
+  }
+  try {
+    const data = await browser.storage.local.get('tabData');
+    const loggedTabData = (data.tabData && typeof data.tabData === 'object') ? data.tabData : {};
+    const loggedByUrl = buildUrlMap(Object.values(loggedTabData));
+    const now = Date.now();
+    let importedCount = 0;
+    for (const row of accepted) {
+      const existing = loggedByUrl.get(row.url);
+      if (existing) {
+        existing.tags = normalizeTags([...normalizeTags(existing.tags), ...row.tags]);
+        existing.note = existing.note || row.note;
+        continue;
+      }
+      const entry = { title: row.title, url: row.url, createdAt: row.createdAt, lastUpdated: now, tags: row.tags, note: row.note };
+      loggedTabData[`import-${crypto.randomUUID()}`] = entry;
+      loggedByUrl.set(row.url, entry);
+      importedCount++;
+    }
+    await browser.storage.local.set({ tabData: loggedTabData });
+    closeImportPreview();
+    await loadTabLog();
+    showMessage(`Imported ${importedCount} tab${importedCount === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    console.error('Error importing tabs:', error);
+    showMessage('Error importing tabs', 'error');
+  }
+}
+
+// Hide the import preview and forget the parsed rows
+function closeImportPreview() {
+  importRows = [];
+  document.getElementById('import-preview').style.display = 'none';
+  document.getElementById('import-file').value = '';
+}
+
+// Export table as CSV (rows with a previous title get an extra column)
+function exportCSV(rows = tabRows, filename = 'tabs-log.csv') {
+  const withPrevious = rows.some(row => row.previousTitle !== undefined);
+  let csv = 'Title,Domain,Opened,Opened (ISO),Age (days),URL,Tags,Note' + (withPrevious ? ',Previous title' : '') + '\n';
+  for (const row of rows) {
+    csv += `"${(row.title||'').replace(/"/g,'""')}","${row.domain}","${formatDate(row.createdAt)}",${new Date(row.createdAt).toISOString()},${row.ageInDays},"${row.url}"`;
+    csv += `,"${csvEscape((row.tags || []).join(', '))}","${csvEscape(row.note)}"`;
+    if (withPrevious) {
+      csv += `,"${(row.previousTitle||'').replace(/"/g,'""')}"`;
+    }
+    csv += '\n';
   }
-  downloadFile(csv, 'tabs-log.csv', 'text/csv');
+  downloadFile(csv, filename, 'text/csv');
 }
 
 // Export table as JSON
@@ -491,12 +1520,22 @@ function exportJSON() {
     title: row.title,
     domain: row.domain,
     opened: formatDate(row.createdAt),
+    createdAt: new Date(row.createdAt).toISOString(),
     ageInDays: row.ageInDays,
-    url: row.url
+    url: row.url,
+    tags: row.tags || [],
+    note: row.note || ''
   }));
   downloadFile(JSON.stringify(data, null, 2), 'tabs-log.json', 'application/json');
 }
 
+// Export table in one of the shared export formats (see formats.js)
+function exportFormat(format) {
+  const fileFormat = EXPORT_FORMATS[format];
+  const entries = tabRows.map(row => ({ title: row.title, url: row.url, createdAt: row.createdAt, tags: row.tags, note: row.note }));
+  downloadFile(serializeTabs(format, entries), `tabs-log.${fileFormat.extension}`, fileFormat.mime);
+}
+
 // Download helper
 function downloadFile(content, filename, type) {
   const blob = new Blob([content], { type });
@@ -0,0 +1,48 @@
+// ============================================================================
+// SAVED PAGE VIEWER for Backup Long-Open Tabs Extension
+//
+// Shows a page capture (see capture.js and database.js) offline. The capture
+// is selected by the tab's log key in the "key" URL parameter. Text captures
+// are shown as plain text; HTML snapshots are rendered in a sandboxed frame
+// without scripts.
+// ============================================================================
+
+// Load and show the capture named in the URL
+async function loadCapture() {
+  const key = new URLSearchParams(window.location.search).get('key');
+  const content = document.getElementById('viewer-content');
+  try {
+    const capture = key ? await getCapture(key) : null;
+    if (!capture) {
+      content.className = 'viewer-text';
+      content.textContent = 'This saved page no longer exists. Captures are removed when their tab leaves the Tab Log or the storage limit is reached.';
+      return;
+    }
+    document.title = `${capture.title || capture.url} - Saved Page`;
+    document.getElementById('viewer-title').textContent = capture.title || 'Untitled';
+    const link = document.getElementById('viewer-url');
+    link.href = capture.url;
+    link.textContent = capture.url;
+    const kind = capture.mode === 'html' ? 'HTML snapshot' : 'Readable text';
+    document.getElementById('viewer-meta').textContent =
+      `${kind}, saved ${new Date(capture.capturedAt).toLocaleString()}, ${Math.ceil(capture.size / 1024)} KB` +
+      (capture.truncated ? ' (truncated at the size limit)' : '');
+    if (capture.mode === 'html') {
+      const frame = document.createElement('iframe');
+      frame.className = 'viewer-frame';
+      // Empty sandbox: no scripts, forms or navigation of this page
+      frame.setAttribute('sandbox', '');
+      frame.srcdoc = capture.content;
+      content.appendChild(frame);
+    } else {
+      content.className = 'viewer-text';
+      content.textContent = capture.content;
+    }
+  } catch (error) {
+    console.error('Error loading saved page:', error);
+    content.className = 'viewer-text';
+    content.textContent = `Error loading saved page: ${error.message}`;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', loadCapture);